@@ -1 +1,5 @@
-export * from './src/AuthService.js'
\ No newline at end of file
+export * from './src/AuthService.js'
+export * from './src/AuthError.js'
+export * from './src/TokenStorage.js'
+export * from './src/vue/AuthPlugin.js'
+export * from './src/vue/AuthGuard.js'
@@ -0,0 +1,112 @@
+/**
+ * Error raised by the authentication services
+ * @class AuthError
+ */
+class AuthError extends Error {
+ /**
+  * Build the error of a non-2xx response, with the OIDC error of the json body if any
+  * @param {Response} resp - the fetch response
+  * @returns {Promise} Promise object represents the error (never rejected)
+  * @static
+  */
+  static fromResponse (resp) {
+    return resp.json()
+    .catch(() => ({}))
+    .then((json) => {
+      json = json && typeof json === 'object' ? json : {}
+      return new this(json.error || 'HTTP_ERROR', json.error_description || ('HTTP error ' + resp.status + ' from ' + resp.url), {
+        error: json.error,
+        error_description: json.error_description,
+        status: resp.status
+      })
+    })
+  }
+
+ /**
+  * @param {string} code - error code like "INVALID_NONCE", or the OIDC error like "invalid_grant"
+  * @param {string} message - human readable description {optional}
+  * @param {object} details {optional}
+  * @param {string} details.error - the OIDC error {optional}
+  * @param {string} details.error_description - the OIDC error description {optional}
+  * @param {number} details.status - the HTTP status {optional}
+  * @param {string} details.phase - discovery, authorize, token, refresh, userinfo or logout {optional}
+  */
+  constructor (code, message, details) {
+    super(message || code)
+    details = details || {}
+    this.name = 'AuthError'
+    this.code = code
+    this.error = details.error || null
+    this.error_description = details.error_description || null
+    this.status = details.status || null
+    this.phase = details.phase || null
+  }
+}
+
+/**
+ * The openid configuration can not be loaded
+ * @class DiscoveryError
+ */
+class DiscoveryError extends AuthError {
+  constructor (code, message, details) {
+    super(code, message, Object.assign({phase: 'discovery'}, details))
+    this.name = 'DiscoveryError'
+  }
+}
+
+/**
+ * The login failed: popup, OIDC error of the authorization response, timeout...
+ * @class AuthorizeError
+ */
+class AuthorizeError extends AuthError {
+  constructor (code, message, details) {
+    super(code, message, Object.assign({phase: 'authorize'}, details))
+    this.name = 'AuthorizeError'
+  }
+}
+
+/**
+ * The code exchange failed or the token is refused (nonce, signature...)
+ * @class TokenError
+ */
+class TokenError extends AuthError {
+  constructor (code, message, details) {
+    super(code, message, Object.assign({phase: 'token'}, details))
+    this.name = 'TokenError'
+  }
+}
+
+/**
+ * The token or the session can not be refreshed
+ * @class RefreshError
+ */
+class RefreshError extends AuthError {
+  constructor (code, message, details) {
+    super(code, message, Object.assign({phase: 'refresh'}, details))
+    this.name = 'RefreshError'
+  }
+}
+
+/**
+ * The user info can not be loaded
+ * @class UserInfoError
+ */
+class UserInfoError extends AuthError {
+  constructor (code, message, details) {
+    super(code, message, Object.assign({phase: 'userinfo'}, details))
+    this.name = 'UserInfoError'
+  }
+}
+
+/**
+ * The provider logout or the revocation failed
+ * @class LogoutError
+ */
+class LogoutError extends AuthError {
+  constructor (code, message, details) {
+    super(code, message, Object.assign({phase: 'logout'}, details))
+    this.name = 'LogoutError'
+  }
+}
+
+export {AuthError, DiscoveryError, AuthorizeError, TokenError, RefreshError, UserInfoError, LogoutError}
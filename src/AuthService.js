@@ -4,6 +4,12 @@
  */
 import jwt_decode from 'jwt-decode'
 import {myCrypto} from './MyCrypto.js'
+import {AuthError, DiscoveryError, AuthorizeError, TokenError, RefreshError, UserInfoError, LogoutError} from './AuthError.js'
+import {JwtVerifier} from './JwtVerifier.js'
+import {CookieStorage, MemoryStorage} from './TokenStorage.js'
+import {TabSync} from './TabSync.js'
+import {RefreshScheduler} from './RefreshScheduler.js'
+import {SessionMonitor} from './SessionMonitor.js'
 class AuthService {
  /**
   * default/global keycloak provider url (with realm)
@@ -42,44 +48,333 @@ class AuthService {
     height: 750
   }
  /**
-  * 
+  * Lifetime of a login attempt (state and nonce) in milliseconds
+  * @property {number} _attemptLifetime
+  * @private
+  * @static
   */
-  static loginPage () { 
-    var url = window.location.href
-    var split = url.split(/\&|\?|#/)
-    var params = []
-    var authParams = []
-    split.forEach(function(tab) {
-       var value = tab.split('=')
-       if (value.length > 1) {
-         if (['code', 'state', 'session_state', 'error'].indexOf(value[0]) >= 0) {
-           authParams[value[0]] = value[1]
-         } else {
-           params[value[0]] = value[1]
-         }
-       }
-     })
-    var location = extractInfoFromURL(window.location.href)
-    if (window.opener) {
-      // case window
-      window.opener.postMessage(
-        {
-          code:location.authParams['code'],
-          state: location.authParams['state'],
-          url: window.location.href
-        },
-        document.location.origin
-      )
-      window.close()
-    } else if (parent) {
+ static _attemptLifetime = 10 * 60 * 1000
+ /**
+  * Default storage of the refresh token for all services (public methods),
+  * a CookieStorage if not set (a MemoryStorage without document)
+  * @property {object} _storage - object with get, set and remove methods
+  * @private
+  * @static
+  */
+ static _storage = null
+ /**
+  * Registered services (added to the DOM) by identifier
+  * @property {object} _registry
+  * @private
+  * @static
+  */
+ static _registry = {}
+ /**
+  * The message listener shared by all registered services
+  * @property {eventListener} _messageListener
+  * @private
+  * @static
+  */
+ static _messageListener = null
+ /**
+  * Name of the BroadcastChannel (or localStorage item) used by the front-channel logout page
+  * @property {string} _frontChannelName
+  * @private
+  * @static
+  */
+ static _frontChannelName = 'auth-service-frontchannel'
+ /**
+  * @property {BroadcastChannel|eventListener} _frontChannel - listen the front-channel logout page
+  * @private
+  * @static
+  */
+ static _frontChannel = null
+ /**
+  * The front-channel logout page (frontchannel_logout_uri configured with the identity provider)
+  * Check the iss and sid query parameters and notify the services of the application with this session
+  * @param {object} options {optional}
+  * @param {string[]} options.issuers - the accepted issuers, if not set any issuer is accepted {optional}
+  * @returns {object|null} the notified logout {iss, sid}, null if the request is invalid
+  * @static
+  */
+ static logoutPage (options) {
+    options = options || {}
+    var params = new URL(window.location.href).searchParams
+    var message = {
+      type: 'frontchannel_logout',
+      iss: params.get('iss'),
+      sid: params.get('sid')
+    }
+    if (!message.sid || (options.issuers && options.issuers.indexOf(message.iss) < 0)) {
+      return null
+    }
+    if (typeof BroadcastChannel !== 'undefined') {
+      var channel = new BroadcastChannel(AuthService._frontChannelName)
+      channel.postMessage(message)
+      channel.close()
+    } else {
+      try {
+        window.localStorage.setItem(AuthService._frontChannelName, JSON.stringify(message))
+        window.localStorage.removeItem(AuthService._frontChannelName)
+      } catch (e) {}
+    }
+    // page opened by the application
+    var target = window.opener || (window.parent !== window ? window.parent : null)
+    if (target) {
+      target.postMessage(message, window.location.origin)
+    }
+    return message
+  }
+ /**
+  * Listen the front-channel logout page, once for all services
+  * @private
+  * @static
+  */
+ static _listenFrontChannel () {
+    if (AuthService._frontChannel || typeof window === 'undefined') {
+      return
+    }
+    if (typeof BroadcastChannel !== 'undefined') {
+      AuthService._frontChannel = new BroadcastChannel(AuthService._frontChannelName)
+      AuthService._frontChannel.onmessage = function (event) {
+        AuthService._receiveFrontChannel(event.data)
+      }
+    } else {
+      AuthService._frontChannel = function (event) {
+        if (event.key === AuthService._frontChannelName && event.newValue) {
+          AuthService._receiveFrontChannel(JSON.parse(event.newValue))
+        }
+      }
+      window.addEventListener('storage', AuthService._frontChannel)
+    }
+  }
+ /**
+  * Notify the services of a front-channel logout
+  * @param {object} message - {type, iss, sid}
+  * @private
+  * @static
+  */
+ static _receiveFrontChannel (message) {
+    if (!message || message.type !== 'frontchannel_logout') {
+      return
+    }
+    AuthService.all().forEach(function (service) {
+      service._frontChannelLogout(message.iss, message.sid)
+    })
+  }
+ /**
+  * Register a service: its login responses are received by the shared message listener
+  * (done by service.add())
+  * @param {AuthService|string} service - the service, or the identifier of a new service
+  * @param {object} config - the configuration of the new service {optional}
+  * @returns {AuthService} the registered service
+  * @throws {AuthError} DUPLICATE_SERVICE if another service has the same identifier (the new service is not created)
+  * @static
+  */
+ static register (service, config) {
+    var id = service instanceof AuthService ? service.getId() : service
+    var registered = AuthService._registry[id]
+    if (registered && registered !== service) {
+      throw new AuthError('DUPLICATE_SERVICE', 'A service is already registered with identifier ' + id)
+    }
+    if (!(service instanceof AuthService)) {
+      service = new AuthService(service, config)
+    }
+    AuthService._registry[id] = service
+    // no login responses nor front-channel logout without window (headless use)
+    if (typeof window === 'undefined') {
+      return service
+    }
+    if (!AuthService._messageListener) {
+      AuthService._messageListener = AuthService._dispatchMessage
+      window.addEventListener('message', AuthService._messageListener)
+    }
+    AuthService._listenFrontChannel()
+    return service
+  }
+ /**
+  * Unregister a service (done by service.remove())
+  * @param {string} id - the service identifier
+  * @static
+  */
+ static unregister (id) {
+    delete AuthService._registry[id]
+    if (AuthService.all().length === 0 && AuthService._messageListener) {
+      window.removeEventListener('message', AuthService._messageListener)
+      AuthService._messageListener = null
+    }
+  }
+ /**
+  * Get a registered service
+  * @param {string} id - the service identifier
+  * @returns {AuthService|null}
+  * @static
+  */
+ static get (id) {
+    return AuthService._registry.hasOwnProperty(id) ? AuthService._registry[id] : null
+  }
+ /**
+  * Get all registered services
+  * @returns {AuthService[]}
+  * @static
+  */
+ static all () {
+    return Object.keys(AuthService._registry).map(function (id) {
+      return AuthService._registry[id]
+    })
+  }
+ /**
+  * Who is signed in where
+  * @returns {object} by service identifier {authenticated, user, email}
+  * @static
+  */
+ static status () {
+    var status = {}
+    AuthService.all().forEach(function (service) {
+      status[service.getId()] = {
+        authenticated: !!service.getUser(),
+        user: service.getUser(),
+        email: service.getEmail()
+      }
+    })
+    return status
+  }
+ /**
+  * Logout the user from all registered services
+  * @param {object} options - see logout {optional}
+  * @returns {Promise} resolved when all the users are logged out
+  * @static
+  */
+ static logoutAll (options) {
+    return Promise.all(AuthService.all()
+    .filter(service => service.getUser())
+    .map(service => service.logout(options)))
+  }
+ /**
+  * Route a message to the service waiting for its state,
+  * messages without state (front-channel logout, apache) are sent to all services
+  * @param {window:message} event
+  * @listens message
+  * @private
+  * @static
+  */
+ static _dispatchMessage (event) {
+    var services = AuthService.all()
+    var state = event.data && typeof event.data === 'object' ? event.data.state : null
+    if (state) {
+      services = services.filter(function (service) {
+        return service._pending.hasOwnProperty(state) || service._logoutState === state
+      })
+    }
+    services.forEach(function (service) {
+      service._receiveMessage(event)
+    })
+  }
+ /**
+  * Authorization request parameters by option name (config and login options)
+  * @property {object} AUTH_PARAMS
+  * @static
+  */
+ static AUTH_PARAMS = {
+   scope: 'scope',
+   prompt: 'prompt',
+   loginHint: 'login_hint',
+   idpHint: 'kc_idp_hint',
+   acrValues: 'acr_values',
+   uiLocales: 'ui_locales',
+   maxAge: 'max_age'
+ }
+ /**
+  * Authorization request parameters of the protocol, ignored in extraParams
+  * @property {string[]} RESERVED_PARAMS
+  * @static
+  */
+ static RESERVED_PARAMS = ['redirect_uri', 'response_type', 'client_id', 'state', 'nonce',
+   'code_challenge', 'code_challenge_method', 'response_mode']
+ /**
+  * Parameters of the authorization response
+  * @property {string[]} CALLBACK_PARAMS
+  * @static
+  */
+ static CALLBACK_PARAMS = ['code', 'state', 'session_state', 'error', 'error_description', 'iss']
+ /**
+  * Read the authorization response of an url
+  * @param {string} url {optional, default current location}
+  * @param {string} responseMode - "query" or "fragment", both if not set (fragment first) {optional}
+  * @returns {object} code, state, session_state, error, error_description and iss (null if missing)
+  * @static
+  */
+ static parseCallbackUrl (url, responseMode) {
+    var location = new URL(url || window.location.href)
+    var query = location.searchParams
+    var fragment = new URLSearchParams(location.hash.substr(1))
+    var sources = []
+    if (responseMode !== 'query') {
+      sources.push(fragment)
+    }
+    if (responseMode !== 'fragment') {
+      sources.push(query)
+    }
+    // the parameters of the first source with a response
+    var params = sources.find(function (source) {
+      return source.has('state') || source.has('code') || source.has('error')
+    }) || new URLSearchParams()
+    var result = {}
+    AuthService.CALLBACK_PARAMS.forEach(function (name) {
+      result[name] = params.get(name)
+    })
+    return result
+  }
+ /**
+  * The redirect page (login and logout):
+  * send the provider response to the application which opened the popup or the iframe
+  * @param {object} options {optional}
+  * @param {string} options.responseMode - "query", "fragment" or "form_post", both query and fragment if not set {optional}
+  * @param {object} options.params - with "form_post", the response parameters posted to the server and written in the page {optional}
+  * @param {string} options.targetOrigin - origin of the application, default this page origin {optional}
+  * @param {string} options.redirectUrl - without popup or iframe (redirect mode), go back to this application url with the response {optional}
+  * @param {boolean} options.close=true - close the popup {optional}
+  * @returns {object} the response {code, state, session_state, error, error_description, iss}
+  * @static
+  */
+ static handleCallbackPage (options) {
+    options = options || {}
+    var result
+    if (options.responseMode === 'form_post') {
+      result = {}
+      AuthService.CALLBACK_PARAMS.forEach(function (name) {
+        result[name] = options.params && options.params[name] ? options.params[name] : null
+      })
+    } else {
+      result = AuthService.parseCallbackUrl(window.location.href, options.responseMode)
+    }
+    var targetOrigin = options.targetOrigin || window.location.origin
+    if (window.opener && window.opener !== window) {
+      // case popup
+      window.opener.postMessage(result, targetOrigin)
+      if (options.close !== false) {
+        window.close()
+      }
+    } else if (window.parent !== window) {
       // case iframe
-      parent.postMessage( {
-        code:location.authParams['code'],
-        state: location.authParams['state'],
-        url: window.location.href
+      window.parent.postMessage(result, targetOrigin)
+    } else if (options.redirectUrl) {
+      // case redirect: handleRedirectCallback reads the response in the fragment
+      var fragment = new URLSearchParams()
+      Object.keys(result).forEach(function (name) {
+        if (result[name]) {
+          fragment.set(name, result[name])
+        }
       })
-      return false
+      window.location.replace(options.redirectUrl.split('#')[0] + '#' + fragment.toString())
     }
+    return result
+  }
+ /**
+  * @deprecated use handleCallbackPage
+  */
+  static loginPage () { 
+    return AuthService.handleCallbackPage()
   }
  /**
   * Set class configuration
@@ -89,6 +384,7 @@ class AuthService {
   * @param {string} config.redirectUriLogout this app redirect url after logout if different from redirectUri
   * @param {number} config.width the auth popup width {optional}
   * @param {number} config.height the auth popup height {optional}
+  * @param {object} config.storage the refresh token storage (MemoryStorage, SessionStorage, LocalStorage, CookieStorage or custom) {optional}
   */
  static setConfig (config) {
     if (config.hasOwnProperty('keycloakUrl')) {
@@ -107,6 +403,9 @@ class AuthService {
     if (config.hasOwnProperty('height')) {
       AuthService._size.height = config.height
     }
+    if (config.hasOwnProperty('storage')) {
+      AuthService._storage = config.storage
+    }
   }
  /**
   * Set the global keycloakUrl
@@ -136,6 +435,17 @@ class AuthService {
   AuthService._size.width = width
   AuthService._size.height = height
  }
+ /**
+  * Create an authentication service when its endpoints and code challenge are known
+  * @param {string} id  service identifier
+  * @param {object} config  service configuration, see constructor
+  * @returns {Promise} Promise object represents the ready service
+  * @static
+  */
+ static create (id, config) {
+  var service = new AuthService(id, config)
+  return service.ready()
+ }
  /**
  * @callback authCallback
  * @param {object} user - user identity
@@ -146,28 +456,58 @@ class AuthService {
  */
  /**
   * @callback errorCallback
-  * @param {string} name - error name
+  * @param {string|AuthError} name - error name or typed error with its code
   */
  /**
-  * Callback functions
-  * @property _callback Array of functions
-  * @type {authCallback} _callback.authenticated
-  * @type {logoutCallback} _callback.logout
-  * @type {errorCallback} _callback.error
-  * @private
+  * @callback serviceCallback
+  * @param {object} service - this service
+  */
+ /**
+  * @callback authLevelCallback
+  * @param {object} level - {acr, authTime} of the new identity token
+  * @param {object} service - this service
+  */
+ /**
+  * @callback deviceCodeCallback
+  * @param {object} device - {user_code, verification_uri, verification_uri_complete, expires_in} to show to the user
+  * @param {object} service - this service
+  */
+ /**
+  * @callback tokenCallback
+  * @param {string} token - the new access token
+  * @param {object} service - this service
   */
-
- _callback = {
-   authenticated: null,
-   logout: null,
-   error: null
- }
  /**
-  * Listen code from popup
-  * @property {eventListener} _codeListener
+  * Listeners by event
+  * @property _listeners
+  * @type {authCallback[]} _listeners.authenticated
+  * @type {logoutCallback[]} _listeners.logout
+  * @type {errorCallback[]} _listeners.error
+  * @type {tokenCallback[]} _listeners.tokenRefreshed - the access token is refreshed
+  * @type {serviceCallback[]} _listeners.tokenExpiring - the access token will expire, the refresh is launched
+  * @type {serviceCallback[]} _listeners.sessionExpired - the refresh token is refused or expired, the user is logged out
+  * @type {serviceCallback[]} _listeners.loginStarted - the login page is opened
+  * @type {serviceCallback[]} _listeners.loginCancelled - the login popup is closed without response
+  * @type {authCallback[]} _listeners.userInfoUpdated - the identity is completed with user info
+  * @type {authCallback[]} _listeners.sessionChanged - the provider session changed, the user is signed in again
+  * @type {authLevelCallback[]} _listeners.authLevelChanged - the user is authenticated again by requireAuth
+  * @type {deviceCodeCallback[]} _listeners.deviceCode - the user must enter the code on the verification page (device_code method)
   * @private
   */
- _codeListener = null
+ _listeners = {
+   authenticated: [],
+   logout: [],
+   error: [],
+   tokenRefreshed: [],
+   tokenExpiring: [],
+   sessionExpired: [],
+   loginStarted: [],
+   loginCancelled: [],
+   userInfoUpdated: [],
+   sessionChanged: [],
+   authLevelChanged: [],
+   deviceCode: []
+ }
  
   /**
   * The service configuration
@@ -175,12 +515,43 @@ class AuthService {
   * @property {string} _config.authUrl - endpoint to request a code (with redirection)
   * @property {string} _config.clientId - client identifier with the identity provider
   * @property {string} _config.logoutUrl - endpoint to logout
+  * @property {string} _config.revocationUrl - endpoint to revoke the tokens (RFC 7009)
+  * @property {string} _config.checkSessionUrl - the provider check_session_iframe
+  * @property {boolean} _config.monitorSession=false - poll the check_session_iframe to follow the provider session
+  * @property {number} _config.checkSessionInterval=5 - delay (seconds) between two session checks
   * @property {string} _config.method='public' - public or backend-token or backend-session, the method used to authenticate the user
   * @property {string} _config.tokenUrl - endpoint to request an access token
   * @property {string} _config.type='keycloak' - type of service: keycloak | external
   * @property {string} _congig.refreshUrl - endpoint to refresh the token or the session
   * @property {string} _config.userinfoUrl - endpoint to request user info
   * @property {string} _config.redirectUri - redirectUri for the service if different from the AuthService
+  * @property {string} _config.mode='popup' - login in a popup or by redirecting the current window
+  * @property {number} _config.silentTimeout=10 - delay (seconds) to wait the response of a silent sign in
+  * @property {number} _config.loginTimeout=600 - delay (seconds) to wait the end of a login in popup
+  * @property {boolean} _config.silentRenew=false - try a silent sign in when the refresh fails
+  * @property {string} _config.logoutMode='popup' - logout from the provider (public methods) in a popup, by redirecting the current window or with a background request (silent, not confirmed)
+  * @property {string} _config.redirectUriLogout - redirectUri after logout for the service if different from the AuthService
+  * @property {boolean} _config.verifyIdToken=false - verify the identity token signature and claims
+  * @property {string} _config.jwksUrl - endpoint of the provider keys used to verify the identity token
+  * @property {string} _config.issuer - the provider issuer expected in the identity token
+  * @property {number} _config.clockSkew=60 - tolerance in seconds to check the identity token dates
+  * @property {object} _config.storage - the refresh token storage if different from the AuthService storage
+  * @property {boolean} _config.syncTabs=true - share login, logout and refreshed token with the others tabs
+  * @property {number} _config.refreshLeadTime=30 - refresh the token this delay (seconds) before it expires, at most half of its lifetime
+  * @property {number} _config.lifetime=1200 - session lifetime (seconds) with backend-credentials method
+  * @property {string|string[]} _config.scope='openid' - scopes of the authorization request, openid is always added
+  * @property {string} _config.prompt - prompt parameter: login, consent, select_account...
+  * @property {string} _config.loginHint - login_hint parameter, the user login or email
+  * @property {string} _config.idpHint - kc_idp_hint parameter, the keycloak identity provider to use
+  * @property {string} _config.acrValues - acr_values parameter
+  * @property {string} _config.uiLocales - ui_locales parameter, like "fr en"
+  * @property {number} _config.maxAge - max_age parameter, maximum delay (seconds) since the user authentication
+  * @property {object} _config.extraParams - others parameters of the authorization request (not the protocol parameters, see RESERVED_PARAMS)
+  * @property {number} _config.retries=3 - attempts after a transient failure (network, 5xx, 429) of the provider requests
+  * @property {number} _config.retryDelay=1 - delay (seconds) before the first retry, doubled at each retry
+  * @property {number} _config.retryMaxDelay=30 - maximum delay (seconds) between two retries
+  * @property {string} _config.clientSecret - secret of a confidential client (client_credentials, device_code)
+  * @property {string} _config.deviceAuthorizationUrl - endpoint to request a device code (RFC 8628)
 
   * @private
   */
@@ -188,12 +559,42 @@ class AuthService {
    authUrl: null,
    clientId: null,
    logoutUrl: null,
+   revocationUrl: null,
+   checkSessionUrl: null,
+   monitorSession: false,
+   checkSessionInterval: 5,
    redirectUri: null,
    method: 'public',
+   mode: 'popup',
+   silentTimeout: 10,
+   loginTimeout: 600,
+   silentRenew: false,
+   logoutMode: 'popup',
+   redirectUriLogout: null,
    tokenUrl: null,
    type: 'keycloak',
    refreshUrl: null,
-   userinfoUrl: null
+   userinfoUrl: null,
+   verifyIdToken: false,
+   jwksUrl: null,
+   issuer: null,
+   clockSkew: 60,
+   syncTabs: true,
+   refreshLeadTime: 30,
+   lifetime: 1200,
+   scope: 'openid',
+   prompt: null,
+   loginHint: null,
+   idpHint: null,
+   acrValues: null,
+   uiLocales: null,
+   maxAge: null,
+   extraParams: null,
+   retries: 3,
+   retryDelay: 1,
+   retryMaxDelay: 30,
+   clientSecret: null,
+   deviceAuthorizationUrl: null
  }
  
  _cookie = null
@@ -214,17 +615,23 @@ class AuthService {
   * @private
   */
  _iframe = null
+
+ /**
+  * @property {Promise} _silentSignin - the silent sign in in progress
+  * @private
+  */
+ _silentSignin = null
  
  _loginTimer = null
  
  /**
-  * @property {number} _expire - timestamp when token expire
+  * @property {number} _expire - timestamp (ms) when token expire
   * @private
   */
  _expire = null
  
  /**
-  * @property {number} _refresh_expire - timestamp when refresh_token expire
+  * @property {number} _refresh_expire - timestamp (ms) when refresh_token expire, null if unknown
   * @private
   */
  _refresh_expire = null
@@ -235,10 +642,10 @@ class AuthService {
  _hasTestAuth = false
  
  /**
-  * @property {intervalID} _timer - an interval identifier
+  * @property {RefreshScheduler} _scheduler - launch the refresh before the token expires
   * @private
   */
- _timer = null
+ _scheduler = null
  
  /**
   * @property {string} _refreshToken - the refresh token
@@ -252,6 +659,42 @@ class AuthService {
   */
  _token = null
 
+ /**
+  * @property {string} _idToken - the identity token, hint for the provider logout
+  * @private
+  */
+ _idToken = null
+
+ /**
+  * @property {string} _scope - the scopes granted with the access token (token response)
+  * @private
+  */
+ _scope = null
+
+ /**
+  * @property {string} _logoutState - state of the provider logout waiting for confirmation
+  * @private
+  */
+ _logoutState = null
+
+ /**
+  * @property {Window} _logoutPopup - the provider logout popup
+  * @private
+  */
+ _logoutPopup = null
+
+ /**
+  * @property {string} _sessionState - the provider session state received with the code
+  * @private
+  */
+ _sessionState = null
+
+ /**
+  * @property {SessionMonitor} _sessionMonitor - check the provider session
+  * @private
+  */
+ _sessionMonitor = null
+
  /**
   * @property {string} _codeChallenge
   */
@@ -261,29 +704,113 @@ class AuthService {
   * @property {string} _codeVerifier
   */
  _codeVerifier = null
+
+ /**
+  * Login attempts waiting for the identity provider response, by state
+  * @property {object} _pending
+  * @private
+  */
+ _pending = {}
  
  /**
   * @property {boolean} running (waiting response from identity provider)
   */
  running = false
 
+ /**
+  * @property {Window} popup - the login popup
+  */
+ popup = null
+
+ /**
+  * @property {Promise} _popupLogin - the login in popup in progress
+  * @private
+  */
+ _popupLogin = null
+
+ /**
+  * @property {Promise} _ready - resolved when the endpoints and the code challenge are known
+  * @private
+  */
+ _ready = null
+
+ /**
+  * @property {boolean} _isReady
+  * @private
+  */
+ _isReady = false
+
+ /**
+  * @property {Promise} _initialized - resolved when the first login test launched by add() is finished
+  * @private
+  */
+ _initialized = null
+
+ /**
+  * @property {Promise} _redirectLogin - resolved when the login received by handleRedirectCallback is finished
+  * @private
+  */
+ _redirectLogin = null
+
+ /**
+  * @property {TabSync} _tabSync - share the session with the others tabs
+  * @private
+  */
+ _tabSync = null
+
+ /**
+  * @property {boolean} _syncing - true while applying a message from another tab
+  * @private
+  */
+ _syncing = false
+
+ /**
+  * @property {Promise} _refreshing - the refresh in progress
+  * @private
+  */
+ _refreshing = null
+
+ /**
+  * @property {Promise} _deviceLogin - the device authorization in progress
+  * @private
+  */
+ _deviceLogin = null
+
  /**
  * Create an authentication service
  * @param {string} id  service identifier
  * @param {object} config  service configuration
  * @param {string} config.type="keycloak" - the type of authentication service in [keycloak, openid, external ...] {optional}
- * @param {string} config.method="public" - the auth method among ['public', 'backend-token', 'backend-session', 'apache']
+ * @param {string} config.method="public" - the auth method among ['public', 'public_verifier', 'backend-token', 'backend-credentials', 'apache', 'client_credentials', 'device_code']
+ * @param {string} config.clientSecret - secret of a confidential client, for client_credentials and device_code methods {optional}
  * @param {string} config.keycloakUrl - keycloak service url, if different from static keycloakUrl {optional}
  * @param {string} config.authUrl - the provider auth url, optional if keycloakUrl {optional}
  * @param {string} config.tokenUrl - the url where obtains the token, optional if keycloakUrl {optional}
  * @param {string} config.refreshUrl - the url where refresh the token or session, optional if keycloakUrl {optional}
  * @param {string} config.logoutUrl - the service logout url
  * @param {string} config.openidUrl - the auth provider url {optional}
+ * @param {string} config.mode="popup" - login in a popup or by redirecting the current window: "popup" | "redirect" {optional}
+ * @param {number} config.loginTimeout=600 - delay (seconds) to wait the end of a login in popup {optional}
+ * @param {boolean} config.iframe=false - try a silent sign in when the service is added {optional}
+ * @param {boolean} config.silentRenew=false - try a silent sign in when the refresh fails {optional}
+ * @param {number} config.silentTimeout=10 - delay (seconds) to wait the silent sign in response {optional}
+ * @param {boolean} config.monitorSession=false - follow the provider session with its check_session_iframe {optional}
+ * @param {number} config.checkSessionInterval=5 - delay (seconds) between two session checks {optional}
+ * @param {string} config.logoutMode="popup" - provider logout in a popup, by redirecting the current window or with a background request: "popup" | "redirect" | "silent" {optional}
+ * @param {boolean} config.verifyIdToken=false - verify the identity token with the provider keys {optional}
+ * @param {number} config.clockSkew=60 - tolerance in seconds to check the identity token exp and iat {optional}
+ * @param {object} config.storage - storage of the refresh token with get, set and remove methods {optional}
+ * @param {boolean} config.syncTabs=true - share the session with the others tabs of the application {optional}
+ * @param {number} config.refreshLeadTime=30 - refresh the token this delay (seconds) before it expires, at most half of its lifetime {optional}
+ * @param {number} config.retries=3 - attempts after a transient failure of the provider requests {optional}
+ * @param {number} config.retryDelay=1 - delay (seconds) before the first retry, doubled at each retry {optional}
+ * @param {number} config.retryMaxDelay=30 - maximum delay (seconds) between two retries {optional}
  *   
  */
  constructor (id, config) {
   this._id = id
   this._config = Object.assign(this._config, config) 
+  var discovery = Promise.resolve()
   if ((this._config.hasOwnProperty('keycloakUrl') || AuthService._keycloakUrl)) {
     var keycloakUrl = this._config.hasOwnProperty('keycloakUrl') ? this._config.keycloakUrl : AuthService._keycloakUrl
     // add slash to ended keycloakUrl if not have
@@ -298,37 +825,68 @@ class AuthService {
     this._config.refreshUrl = this._config.tokenUrl
     this._config.userinfoUrl = keycloakUrl + 'protocol/openid-connect/userinfo'
     this._config.logoutUrl = keycloakUrl + 'protocol/openid-connect/logout'
-    
+    this._config.revocationUrl = keycloakUrl + 'protocol/openid-connect/revoke'
+    this._config.checkSessionUrl = keycloakUrl + 'protocol/openid-connect/login-status-iframe.html'
+    this._config.jwksUrl = keycloakUrl + 'protocol/openid-connect/certs'
+    this._config.deviceAuthorizationUrl = keycloakUrl + 'protocol/openid-connect/auth/device'
+    this._config.issuer = keycloakUrl.substr(0, keycloakUrl.length - 1)
   } else if (config.openidUrl) {
-    this._requestOpenidEndpoints(config.openidUrl)
+    discovery = this._requestOpenidEndpoints(config.openidUrl)
   }
   if (config.redirectUri) {
     this._config.redirectUri = config.redirectUri
   }
-  this._initState(id)
-  
+  this._ready = Promise.all([discovery, this._initCodeVerifier()])
+  .then(() => {
+    this._isReady = true
+    return this
+  })
+  // the failure is sent to the error event, the methods waiting for the service stay silent
+  this._ready.catch((error) => { this._triggerError(error) })
+ }
+ /**
+  * Wait until the service endpoints and the code challenge are known
+  * @returns {Promise} Promise object represents this service, rejected with INVALID_OPENID when discovery fails
+  */
+ ready () {
+   return this._ready
+ }
+ /**
+  * Wait for the end of the first login test (stored refresh token, silent sign in, session)
+  * and of the login received by handleRedirectCallback
+  * @returns {Promise} Promise object represents this service, never rejected
+  */
+ initialized () {
+   return Promise.all([this._initialized || this._ready, this._redirectLogin])
+   .then(() => this, () => this)
  }
  /**
   * Add service to the DOM
+  * @throws {AuthError} DUPLICATE_SERVICE if another service is registered with the same identifier
   */
  add () {
-   if (this._config.iframe && !this._iframe) {
-     this._iframe = document.createElement('iframe')
-     this._iframe.style.display = 'none'
-     this._iframe.setAttribute('src', this._getLoginUrl())
-     document.body.appendChild(this._iframe)
-   }
-   if (this._config.method === 'public' || this._config.method === 'public_verifier') {
-      this._testLogin()
-   }
-   if (this._config.method === 'backend-credentials') {
-     this._requestRefreshToken() 
+   // before any login test
+   AuthService.register(this)
+   this._initialized = this._ready.then(() => {
+     var tests = []
+     if (this._config.iframe && !this._identity) {
+       tests.push(this.signinSilent().catch(() => {}))
+     }
+     if (this._hasStoredRefreshToken()) {
+        tests.push(this._testLogin())
+     }
+     if (this._config.method === 'backend-credentials') {
+       tests.push(this._requestRefreshToken())
+     }
+     if (this._config.method === 'client_credentials') {
+       tests.push(this.login())
+     }
+     return Promise.all(tests)
+   }).then(() => this, () => this)
+   if (this._config.syncTabs && !this._tabSync && typeof window !== 'undefined') {
+     this._tabSync = new TabSync(this._id, this._receiveTabMessage.bind(this))
+     this._tabSync.start()
    }
-   if (this._codeListener) {
-    return
-  }
-   this._codeListener = this._receiveMessage.bind(this)
-   window.addEventListener('message', this._codeListener)
  }
  /**
   * Get user email
@@ -361,80 +919,486 @@ class AuthService {
   getUser () {
     return this._identity
   }
-
  /**
-  * Get user info
-  * @returns {Promise} Promise object represents the user identity
+  * Get the claims of the user: the identity token, or the user info without identity token
+  * @returns {object|null}
   */
- getUserInfo () {
-    var self = this
-    return new Promise((resolve, reject) => {
-        return self._requestUserInfo(resolve, reject)
-    })
-}
+ getClaims () {
+   return this._decodeClaims(this._idToken) || this._identity
+ }
  /**
-  * Open window to login
+  * Get the claims of the access token
+  * @returns {object|null} null if the access token is not a jwt
   */
- login () {
-    
-    this.popup = window.open(this._getLoginUrl(), "_blank", "height=" + AuthService._size.height + ", width=" + AuthService._size.width + ", status=yes, toolbar=no, menubar=no, location=no,addressbar=no");
-//    var _this = this
-//    var loop = setInterval(function() {
-//      if (_this.popup.closed) {
-//        clearInterval(loop)
-//        _this.popup = null
-//      }
-//    })
+ getAccessTokenClaims () {
+   return this._decodeClaims(this._token)
  }
  /**
-  * logout user to the service
+  * Has the user a realm role, or a client role
+  * (keycloak realm_access and resource_access, or roles claim)
+  * @param {string} role
+  * @param {object} options {optional}
+  * @param {string|boolean} options.client - the client of the role, true for this client {optional}
+  * @returns {boolean}
   */
- logout (second) {
-   if (!second && this._config.logoutUrl) {
-     this._logout()
-     return
-   }
-   this._resetUser()
+ hasRole (role, options) {
+   return this._getRoles(options && options.client).indexOf(role) >= 0
  }
  /**
-  * Record the callback function on event
-  * @param {string} eventName - the event name like "authenticated" or "logout"
-  * @param {authCallback | logoutCallback} callback - the callback function 
+  * Has the user one of the roles
+  * @param {string[]} roles
+  * @param {object} options - see hasRole {optional}
+  * @returns {boolean}
   */
- on (eventName, callback) {
-  if (this._callback.hasOwnProperty(eventName)) {
-    this._callback[eventName] = callback
-  }
+ hasAnyRole (roles, options) {
+   var granted = this._getRoles(options && options.client)
+   return roles.some(role => granted.indexOf(role) >= 0)
  }
  /**
-  * Remove service from DOM
+  * Is the scope granted with the access token
+  * @param {string} scope
+  * @returns {boolean}
   */
- remove () {
-    this._resetUser()
-    window.removeEventListener('message', this._codeListener)
-    this._codeListener = null
-    if (this._iframe) {
-      this._iframe.remove()
-      this._iframe = null
-    }
-    if (this._loginTimer) {
-      clearInterval(this._loginTimer)
+ hasScope (scope) {
+   var scopes = []
+   this._getClaimsList().concat([{scope: this._scope}]).forEach(function (claims) {
+     if (typeof claims.scope === 'string') {
+       scopes = scopes.concat(claims.scope.split(' '))
+     }
+     if (Array.isArray(claims.scp)) {
+       scopes = scopes.concat(claims.scp)
+     }
+   })
+   return scopes.indexOf(scope) >= 0
+ }
+ /**
+  * Get the groups of the user (groups claim)
+  * @returns {string[]}
+  */
+ getGroups () {
+   var groups = []
+   this._getClaimsList().forEach(function (claims) {
+     if (Array.isArray(claims.groups)) {
+       groups = groups.concat(claims.groups.filter(group => groups.indexOf(group) < 0))
+     }
+   })
+   return groups
+ }
+
+ /**
+  * Get user info
+  * @returns {Promise} Promise object represents the user identity
+  */
+ getUserInfo () {
+    var self = this
+    return this._ready.then(() => new Promise((resolve, reject) => {
+        return self._requestUserInfo(resolve, reject)
+    }))
+}
+ /**
+  * Sign in without user interaction (prompt=none) in a hidden iframe,
+  * possible only if the user has a session with the identity provider
+  * @param {object} options {optional}
+  * @param {number} options.timeout - delay (seconds) to wait the response, default the service config silentTimeout
+  * @returns {Promise} Promise object represents the user identity, rejected with an AuthError
+  * with the OIDC error as code (login_required, interaction_required, consent_required...) or TIMEOUT
+  */
+ signinSilent (options) {
+   options = options || {}
+   if (this._silentSignin) {
+     return this._silentSignin
+   }
+   var timeout = (options.timeout || this._config.silentTimeout) * 1000
+   this._silentSignin = this._ready.then(() => new Promise((resolve, reject) => {
+     var attempt = this._createAttempt()
+     var iframe = document.createElement('iframe')
+     var finish = () => {
+       clearTimeout(timer)
+       this._takeAttempt(attempt.state)
+       iframe.remove()
+       if (this._iframe === iframe) {
+         this._iframe = null
+       }
+     }
+     var timer = setTimeout(() => {
+       finish()
+       reject(new AuthorizeError('TIMEOUT', 'No response to the silent sign in'))
+     }, timeout)
+     attempt.silent = true
+     attempt.resolve = (identity) => {
+       finish()
+       resolve(identity)
+     }
+     attempt.reject = (error) => {
+       finish()
+       reject(error)
+     }
+     iframe.style.display = 'none'
+     iframe.setAttribute('src', this._getLoginUrl(attempt, {prompt: 'none'}))
+     this._iframe = iframe
+     document.body.appendChild(iframe)
+   }))
+   .finally(() => {
+     this._silentSignin = null
+   })
+   return this._silentSignin
+ }
+ /**
+  * Fetch a resource with the user credentials:
+  * bearer token for public, public_verifier and backend-token methods,
+  * cookies for backend-credentials and apache methods.
+  * On 401 the token is refreshed once and the request sent again
+  * @param {Request|string} input - same as window.fetch
+  * @param {object} init - same as window.fetch {optional}
+  * @returns {Promise} Promise object represents the Response
+  */
+ fetch (input, init) {
+   // a Request body can be read only once
+   var retry = input instanceof Request ? input.clone() : input
+   return this._ready.then(() => fetch(input, this._getAuthInit(input, init)))
+   .then((resp) => {
+     if (resp.status !== 401 || !this._identity) {
+       return resp
+     }
+     // a failed refresh is sent to the error event, a refused refresh token logs out the user
+     return this._refreshOnce()
+     .catch(() => {})
+     .then(() => {
+       // the session is ended
+       if (!this._identity) {
+         return resp
+       }
+       return fetch(retry, this._getAuthInit(retry, init))
+     })
+   })
+ }
+ /**
+  * Add the user credentials to the requests of an axios instance,
+  * on 401 the token is refreshed once and the request sent again
+  * @param {object} instance - axios or an axios instance
+  * @returns {function} function to remove the interceptors
+  */
+ axiosInterceptor (instance) {
+   var request = instance.interceptors.request.use((config) => {
+     return this._ready.then(() => {
+       if (this._config.method === 'backend-credentials' || this._config.method === 'apache') {
+         config.withCredentials = true
+       } else if (this._token) {
+         config.headers = config.headers || {}
+         if (typeof config.headers.set === 'function') {
+           config.headers.set('Authorization', 'Bearer ' + this._token)
+         } else {
+           config.headers['Authorization'] = 'Bearer ' + this._token
+         }
+       }
+       return config
+     })
+   })
+   var response = instance.interceptors.response.use(null, (error) => {
+     var config = error.config
+     if (!error.response || error.response.status !== 401 || !config || config._authRetry || !this._identity) {
+       return Promise.reject(error)
+     }
+     // a failed refresh is sent to the error event, a refused refresh token logs out the user
+     return this._refreshOnce()
+     .catch(() => {})
+     .then(() => {
+       if (!this._identity) {
+         return Promise.reject(error)
+       }
+       config._authRetry = true
+       return instance.request(config)
+     })
+   })
+   return function () {
+     instance.interceptors.request.eject(request)
+     instance.interceptors.response.eject(response)
+   }
+ }
+ /**
+  * Finish a login launched with mode "redirect"
+  * to call when the application is reloaded on the redirect uri
+  * @param {string} url - the url with the authorization response {optional, default current location}
+  * @returns {boolean} true if the url contains the response of a login or logout launched by this service
+  */
+ handleRedirectCallback (url) {
+   url = url || window.location.href
+   if (this._handleLogoutCallback(url)) {
+     return true
+   }
+   var pending = this._loadRedirectState()
+   if (!pending) {
+     return false
+   }
+   var params = AuthService.parseCallbackUrl(url)
+   if (params.state !== pending.state) {
+     return false
+   }
+   this._clearRedirectState()
+   if (url === window.location.href && window.history && window.history.replaceState) {
+     // remove the authorization response from the address bar
+     window.history.replaceState(null, '', url.split(/\?|#/)[0])
+   }
+   if (!params.code && !params.error) {
+     return false
+   }
+   // pending keeps the code verifier of its login for the token request
+   this._redirectLogin = new Promise(function (resolve) {
+     pending.resolve = resolve
+     pending.reject = function () {
+       resolve(null)
+     }
+   })
+   this._ready.then(() => this._handleAuthResponse(params, pending), () => pending.reject())
+   return true
+ }
+ /**
+  * Confirm a logout launched with mode "redirect"
+  * @param {string} url - the url with the logout response
+  * @returns {boolean}
+  */
+ _handleLogoutCallback (url) {
+   var key = this._getRedirectStateKey() + '_logout'
+   var state = window.sessionStorage.getItem(key)
+   if (!state || AuthService.parseCallbackUrl(url).state !== state) {
+     return false
+   }
+   window.sessionStorage.removeItem(key)
+   if (url === window.location.href && window.history && window.history.replaceState) {
+     window.history.replaceState(null, '', url.split(/\?|#/)[0])
+   }
+   this._resetUser()
+   return true
+ }
+ /**
+  * Launch the login
+  * @param {object} options {optional}
+  * @param {string} options.mode - "popup" or "redirect", default the service config mode
+  * @param {string|string[]} options.scope - scopes, default the service config scope {optional}
+  * @param {string} options.prompt - prompt parameter, default the service config prompt {optional}
+  * @param {string} options.loginHint - login_hint parameter {optional}
+  * @param {string} options.idpHint - kc_idp_hint parameter {optional}
+  * @param {string} options.acrValues - acr_values parameter {optional}
+  * @param {string} options.uiLocales - ui_locales parameter {optional}
+  * @param {number} options.maxAge - max_age parameter {optional}
+  * @param {object} options.extraParams - others parameters of the authorization request (not the protocol parameters, see RESERVED_PARAMS) {optional}
+  * @returns {Promise} Promise object represents the user identity, rejected with an AuthError
+  * POPUP_BLOCKED, POPUP_CLOSED or TIMEOUT (never resolved in redirect mode, the page is left)
+  * Without popup for client_credentials method (token of the service account)
+  * and device_code method (the code to enter is sent to the deviceCode event)
+  */
+ login (options) {
+    options = options || {}
+    if (this._config.method === 'client_credentials') {
+      return this._ready.then(() => this._requestClientToken(TokenError))
+      .then((data) => this._setToken(data), (error) => this._rejectToken(error))
+    }
+    if (this._config.method === 'device_code') {
+      return this._loginWithDevice(options)
+    }
+    var mode = options.mode || this._config.mode
+    if (mode !== 'redirect' && this._popupLogin && this.popup && !this.popup.closed) {
+      this.popup.focus()
+      return this._popupLogin
     }
-    if (this._timer) {
-      clearInterval(this._timer)
+    var attempt = this._createAttempt()
+    // running is set before the events, read by their listeners
+    this.running = mode !== 'redirect'
+    this._emit('loginStarted', this)
+    if (mode === 'redirect') {
+      return this._ready.then(() => {
+        this._saveRedirectState(attempt)
+        window.location.assign(this._getLoginUrl(attempt, options))
+        return new Promise(function () {})
+      })
+    }
+    // open the popup during the user click (popup blockers), if the endpoints are
+    // not known, the login page is loaded when the service is ready
+    var popup = window.open(this._isReady ? this._getLoginUrl(attempt, options) : 'about:blank', "_blank", this._getPopupFeatures())
+    if (!popup) {
+      this._takeAttempt(attempt.state)
+      this.running = false
+      var error = new AuthorizeError('POPUP_BLOCKED', 'The login popup is blocked by the browser')
+      this._triggerError(error)
+      return Promise.reject(error)
+    }
+    this.popup = popup
+    this._popupLogin = new Promise((resolve, reject) => {
+      var finish = () => {
+        clearInterval(loop)
+        clearTimeout(timer)
+        this._takeAttempt(attempt.state)
+        this.running = false
+        this._popupLogin = null
+        if (this.popup === popup) {
+          this.popup = null
+        }
+      }
+      attempt.resolve = (identity) => {
+        finish()
+        resolve(identity)
+      }
+      attempt.reject = (error) => {
+        finish()
+        if (!popup.closed) {
+          popup.close()
+        }
+        reject(error)
+      }
+      var loop = setInterval(() => {
+        // closed by the user before the identity provider response
+        if (popup.closed && this._pending.hasOwnProperty(attempt.state)) {
+          finish()
+          this._emit('loginCancelled', this)
+          reject(new AuthorizeError('POPUP_CLOSED', 'The login popup is closed'))
+        }
+      }, 500)
+      var timer = setTimeout(() => {
+        var error = new AuthorizeError('TIMEOUT', 'No response to the login')
+        attempt.reject(error)
+        this._triggerError(error)
+      }, this._config.loginTimeout * 1000)
+    })
+    if (!this._isReady) {
+      this._ready.then(() => {
+        if (!popup.closed) {
+          popup.location.href = this._getLoginUrl(attempt, options)
+        }
+      }, (error) => {
+        attempt.reject(error)
+      })
+    }
+    return this._popupLogin
+ }
+ /**
+  * Require a recent or strong authentication (step-up): if auth_time or acr of the identity token
+  * do not match, launch a new login with max_age, acr_values and prompt=login
+  * @param {object} options {optional}
+  * @param {number} options.maxAge - maximum delay (seconds) since the user authentication {optional}
+  * @param {string|string[]} options.acr - accepted authentication context classes {optional}
+  * others options are the login options
+  * @returns {Promise} Promise object represents the user identity, rejected with an AuthError
+  * like login or INSUFFICIENT_AUTH_LEVEL when the new token still does not match
+  */
+ requireAuth (options) {
+   options = Object.assign({}, options)
+   var acr = options.acr ? [].concat(options.acr) : []
+   delete options.acr
+   var requirement = {maxAge: options.maxAge, acr: acr}
+   if (this._identity && this._isAuthLevel(requirement)) {
+     return Promise.resolve(this._identity)
+   }
+   if (acr.length > 0) {
+     options.acrValues = acr.join(' ')
+   }
+   options.prompt = 'login'
+   return this.login(options)
+   .then((identity) => {
+     if (!this._isAuthLevel(requirement)) {
+       var error = new AuthorizeError('INSUFFICIENT_AUTH_LEVEL', 'The new authentication does not match the required level')
+       this._triggerError(error)
+       throw error
+     }
+     this._emit('authLevelChanged', this._getAuthLevel(), this)
+     return identity
+   })
+ }
+ /**
+  * logout user to the service
+  * @param {object} options {optional}
+  * @param {string} options.mode - provider logout mode for public methods: "popup", "redirect" or "silent", default the service config logoutMode
+  * @returns {Promise} resolved when the user is logged out, rejected with a LogoutError
+  *   if the backend logout fails (the user is logged out of the application anyway)
+  */
+ logout (options) {
+   // logout(true): only local logout
+   if (options !== true && this._isReady && this._hasLogoutEndpoint()) {
+     return this._logout(options || {})
+   }
+   this._resetUser()
+   return Promise.resolve()
+ }
+ /**
+  * Add a listener on event
+  * @param {string} eventName - the event name like "authenticated" or "logout"
+  * @param {authCallback | logoutCallback | errorCallback | tokenCallback | serviceCallback} callback - the callback function 
+  * @returns {function} function to remove the listener
+  */
+ on (eventName, callback) {
+  if (!this._listeners.hasOwnProperty(eventName)) {
+    return function () {}
+  }
+  this._listeners[eventName].push(callback)
+  return () => this.off(eventName, callback)
+ }
+ /**
+  * Add a listener called only the next time the event is emitted
+  * @param {string} eventName
+  * @param {function} callback
+  * @returns {function} function to remove the listener
+  */
+ once (eventName, callback) {
+  var self = this
+  var wrapper = function () {
+    self.off(eventName, wrapper)
+    return callback.apply(this, arguments)
+  }
+  wrapper.callback = callback
+  return this.on(eventName, wrapper)
+ }
+ /**
+  * Remove a listener, or all the listeners of the event if no callback
+  * @param {string} eventName
+  * @param {function} callback {optional}
+  */
+ off (eventName, callback) {
+  if (!this._listeners.hasOwnProperty(eventName)) {
+    return
+  }
+  if (!callback) {
+    this._listeners[eventName] = []
+    return
+  }
+  this._listeners[eventName] = this._listeners[eventName].filter(function (listener) {
+    return listener !== callback && listener.callback !== callback
+  })
+ }
+ /**
+  * Remove service from DOM
+  */
+ remove () {
+    if (AuthService.get(this._id) === this) {
+      AuthService.unregister(this._id)
+    }
+    if (this._tabSync) {
+      this._tabSync.stop()
+      this._tabSync = null
+    }
+    this._resetUser()
+    if (this._iframe) {
+      this._iframe.remove()
+      this._iframe = null
+    }
+    if (this._loginTimer) {
+      clearInterval(this._loginTimer)
     }
  }
  /**
   * Test login (only public, backend-credentials and apache)
   * test if user is already authenticated
-  * with public method see private _testLogin method (use cookie)
+  * with public method see private _testLogin method (use the refresh token storage)
   * with apache it's experimental
   * with a backend-credentials: use the session cookie blindly
   * @return  void
   */
   testLogin (cookie) {
+    if (!this._isReady) {
+      this._ready.then(() => this.testLogin(cookie), () => {})
+      return
+    }
     if (this._config.method === 'public' || this._config.method === 'public_verifier') {
-      this._testLogin()
+      // the failure is sent to the error event
+      this._testLogin().catch(() => {})
       // var _this = this
       // this._loginTimer = setInterval(function() {
       //     _this._testLogin()
@@ -450,215 +1414,835 @@ class AuthService {
     if (cookie) {
       headers['Cookie'] = cookie
     }
-    fetch(this._config.userinfoUrl, 
-          {
-            headers: headers,
-            credentials: 'include'
-        })
-         .then((resp) => {return resp.json()}, resp => {return {}})
-        .then((json) => {
-          if (json.email || json.preferred_username) {
-             this._setToken(json)
-        }})
-       
+    this._fetchJson(this._config.userinfoUrl, {
+      headers: headers,
+      credentials: 'include'
+    }, UserInfoError)
+    .then((json) => {
+      if (json.email || json.preferred_username) {
+        // a refused token is already sent to the error event
+        return this._setToken(json).catch(() => {})
+      }
+    }, (error) => this._triggerError(error))
   }
   
   /**
-  * Get the cookie named with the service identifier
-  * With public method, this cookie record the refreshToken
-  * @returns {string} the cookie value
+  * Is the refresh token kept in the service storage
+  * @returns {boolean} true for public and device_code methods
   */
-  _getCookie () {
-    if (this._config.method === 'public' || this._config.method === 'public_verifier') {
-       var name = this._id + "=";
-       var ca = document.cookie.split(';');
-       for(var i=0;i < ca.length;i++) {
-         var c = ca[i];
-         while (c.charAt(0)==' ') c = c.substring(1,c.length);
-         if (c.indexOf(name) == 0) return c.substring(name.length,c.length);
+  _hasStoredRefreshToken () {
+    return ['public', 'public_verifier', 'device_code'].indexOf(this._config.method) >= 0
+  }
+ /**
+  * Get the storage of the refresh token, in memory without document (headless use)
+  * @returns {object} storage with get, set and remove methods
+  */
+  _getStorage () {
+    if (this._config.storage) {
+      return this._config.storage
+    }
+    if (!AuthService._storage) {
+      AuthService._storage = typeof document === 'undefined' ? new MemoryStorage() : new CookieStorage()
+    }
+    return AuthService._storage
+  }
+  /**
+  * Get the refreshToken recorded for the service
+  * only for public and device_code methods
+  * @returns {Promise} Promise object represents the refresh token or null
+  */
+  _getStoredRefreshToken () {
+    if (!this._hasStoredRefreshToken()) {
+      return Promise.resolve(null)
+    }
+    return Promise.resolve()
+    .then(() => this._getStorage().get(this._id))
+    .then((value) => value || null, (error) => {
+      this._triggerError(new AuthError('STORAGE_ERROR', 'Unable to read the refresh token: ' + error.message))
+      return null
+    })
+  }
+ /**
+  * Get the window features of the popups, centered on the application window
+  * @returns {string}
+  */
+  _getPopupFeatures () {
+    var width = AuthService._size.width
+    var height = AuthService._size.height
+    var left = Math.max(0, Math.round(window.screenX + (window.outerWidth - width) / 2))
+    var top = Math.max(0, Math.round(window.screenY + (window.outerHeight - height) / 2))
+    return "height=" + height + ", width=" + width + ", left=" + left + ", top=" + top + ", status=yes, toolbar=no, menubar=no, location=no,addressbar=no"
+  }
+ /**
+  * Create a new login attempt with random state and nonce
+  * the attempt is forgotten after one use or after _attemptLifetime
+  * @returns {object} attempt with state and nonce
+  */
+  _createAttempt () {
+    var now = Date.now()
+    for (var key in this._pending) {
+      if (this._pending[key].created + AuthService._attemptLifetime < now) {
+        delete this._pending[key]
+      }
     }
-    return null;
+    var attempt = {
+      state: myCrypto.generateRandomString(),
+      nonce: myCrypto.generateRandomString(),
+      created: now
     }
+    this._pending[attempt.state] = attempt
+    return attempt
+  }
+ /**
+  * Get and forget the pending login attempt with this state
+  * @param {string} state
+  * @returns {object|null} the attempt or null if no attempt is waiting with this state
+  */
+  _takeAttempt (state) {
+    if (!state || !this._pending.hasOwnProperty(state)) {
+      return null
+    }
+    var attempt = this._pending[state]
+    delete this._pending[state]
+    return attempt
   }
  /**
   * Get the SSO login url with complete query
+  * @param {object} attempt - the login attempt with state and nonce
+  * @param {object} options - overrides the config scope, prompt, loginHint, idpHint, acrValues, uiLocales and extraParams {optional}
   * @returns {string} sso login url
   */
-  _getLoginUrl () {
+  _getLoginUrl (attempt, options) {
     if (this._config.method === 'apache') {
       return this._config.authUrl
     }
+    options = options || {}
     var redirectUri = this._config.redirectUri || AuthService._redirectUri
-    var url = this._config.authUrl + '?'
+    var url = this._config.authUrl + (this._config.authUrl.indexOf('?') < 0 ? '?' : '&')
     var params = {
-          redirect_uri: encodeURIComponent(redirectUri),
+          redirect_uri: redirectUri,
           response_type: 'code',
           client_id: this._config.clientId,
-          scope: 'openid',
-          state: this._state,
-          nonce: this._nonce
+          state: attempt.state,
+          nonce: attempt.nonce
       }
+    for (var name in AuthService.AUTH_PARAMS) {
+      var value = options.hasOwnProperty(name) ? options[name] : this._config[name]
+      if (value) {
+        params[AuthService.AUTH_PARAMS[name]] = Array.isArray(value) ? value.join(' ') : value
+      }
+    }
     if (this._config.method === 'public_verifier' || this._config.method === 'backend-credentials') {
       params.code_challenge = this._codeChallenge
       params.response_mode = 'fragment'
       params.code_challenge_method = 'S256'
     }
-    var paramsStr = Object.keys(params).map(function (key) {
-       return key + '=' + params[key]
+    var extraParams = Object.assign({}, this._config.extraParams, options.extraParams)
+    AuthService.RESERVED_PARAMS.forEach(function (name) {
+      delete extraParams[name]
+    })
+    Object.assign(params, extraParams)
+    // openid is always requested, with the scope of extraParams too
+    params.scope = this._getScope(params.scope)
+    var paramsStr = Object.keys(params).filter(function (key) {
+       return params[key] !== null && params[key] !== undefined
+    }).map(function (key) {
+       return encodeURIComponent(key) + '=' + encodeURIComponent(params[key])
     }).join('&')
     url += paramsStr
     return url
  }
  /**
-  * Initialize the state and nonce of login request with service config
-  * @param {string|number} id - service identifier
+  * Add openid to the requested scopes
+  * @param {string} scope - space separated scopes {optional}
+  * @returns {string}
   */
-  _initState (id) {
-
-      var date = new Date()
-      var y = date.getYear() + ''
-      var str = id + '_' + date.getMonth() + '_' + date.getDate()
-      this._nonce = btoa(str).replace(/=|\+|\//gm, '0')
-      this._state = btoa('app_fmt' + id).replace(/=|\+|\//gm, '0')
+  _getScope (scope) {
+    var scopes = (scope || '').split(' ').filter(function (value) {
+      return value && value !== 'openid'
+    })
+    return ['openid'].concat(scopes).join(' ')
+  }
+ /**
+  * Key of the sessionStorage item used to keep the login request during a redirect
+  * @returns {string}
+  */
+  _getRedirectStateKey () {
+    return 'auth_service_' + this._id
+  }
+ /**
+  * Keep state, nonce and code verifier before leaving the application
+  * @param {object} attempt - the login attempt
+  */
+  _saveRedirectState (attempt) {
+    this._takeAttempt(attempt.state)
+    window.sessionStorage.setItem(this._getRedirectStateKey(), JSON.stringify({
+      state: attempt.state,
+      nonce: attempt.nonce,
+      codeVerifier: this._codeVerifier
+    }))
+  }
+ /**
+  * Read the login request recorded before the redirect
+  * @returns {object|null}
+  */
+  _loadRedirectState () {
+    var stored = window.sessionStorage.getItem(this._getRedirectStateKey())
+    if (!stored) {
+      return null
+    }
+    try {
+      return JSON.parse(stored)
+    } catch (e) {
+      this._clearRedirectState()
+      return null
+    }
+  }
+  _clearRedirectState () {
+    window.sessionStorage.removeItem(this._getRedirectStateKey())
+  }
+ /**
+  * Initialize the PKCE code verifier and challenge with service config
+  * @returns {Promise} resolved when the code challenge is computed
+  */
+  _initCodeVerifier () {
       if (this._config.method === 'public_verifier' || this._config.method === 'backend-credentials') {
         this._codeVerifier = myCrypto.generateCodeVerifier()
-        myCrypto.generateCodeChallengeFromVerifier(this._codeVerifier)
+        return myCrypto.generateCodeChallengeFromVerifier(this._codeVerifier)
         .then(code => {
            this._codeChallenge=code
           }
         )
       }
+      return Promise.resolve()
+ }
+ /**
+  * Has the service an endpoint to call on logout:
+  * the logout url, or the revocation url for the oauth2 methods
+  * @returns {boolean}
+  */
+ _hasLogoutEndpoint () {
+   switch (this._config.method) {
+     case 'public':
+     case 'public_verifier':
+     case 'client_credentials':
+     case 'device_code':
+       return !!(this._config.logoutUrl || this._config.revocationUrl)
+     default:
+       return !!this._config.logoutUrl
+   }
  }
  /**
   * Disconnect from backend service
+  * @param {object} options - see logout
+  * @returns {Promise} see logout
   */
- _logout () {
+ _logout (options) {
      // request for logout
     switch (this._config.method) {
       case 'backend-token':
-        fetch(this._config.logoutUrl, 
-          {
-            method: 'POST',
-            headers: {
-                  "Authorization": "Bearer " + this.getToken()
-            },
-            credentials: 'omit'
-        }).then((resp) => { this.logout(true)}, (resp) => {this.logout(true)})
-        break
+        return this._requestLogout({
+          method: 'POST',
+          headers: {
+                "Authorization": "Bearer " + this.getToken()
+          },
+          credentials: 'omit'
+        })
       case 'backend-credentials':
       case 'apache':
-        fetch(this._config.logoutUrl, 
-          {
-            credentials: 'include'
-        }).then((resp) => { this.logout(true)}, (resp) => {this.logout(true)})
-        break
+        return this._requestLogout({
+          credentials: 'include'
+        })
       case 'public':
-        this.logout(true)
-        // var url = this._config.logoutUrl + '?client_id=' + this._config.clientId
-        // url += '&redirect_uri=' + encodeURIComponent(AuthService._redirectUriLogout)
-        // this.popup = window.open(url, "_blank", "height=" + AuthService._size.height + ", width=" + AuthService._size.width + ", status=yes, toolbar=no, menubar=no, location=no,addressbar=no");
-        // var _this = this
-        // var loop = setInterval(function() {
-        //   if (_this.popup.closed) {
-        //     clearInterval(loop)
-        //     _this.popup = null
-        //     _this.logout(true)
-        //   }
-        // })
-        break
-          
+      case 'public_verifier':
+        // every end of the provider logout resets the user
+        var ended = new Promise((resolve) => this.once('logout', () => resolve()))
+        var mode = options.mode || this._config.logoutMode
+        if (!this._config.logoutUrl) {
+          // no end_session_endpoint: only the revocation
+          this._revokeTokens()
+          .then(() => this._resetUser())
+          return ended
+        }
+        // open the popup during the user click (popup blockers),
+        // the provider logout page is loaded after the revocation
+        var popup = mode === 'popup' ? window.open('about:blank', '_blank', this._getPopupFeatures()) : null
+        this._revokeTokens()
+        .then(() => this._endSession(mode, popup))
+        return ended
+      case 'client_credentials':
+      case 'device_code':
+        // no browser session with the provider
+        return this._revokeTokens()
+        .then(() => this._resetUser())
     }
-    
+    this._resetUser()
+    return Promise.resolve()
  }
  /**
-  * add or delete the cookie named with the service identifier
-  * the value is the refreshToken 
-  * only for public method
+  * Request the logout url of the backend methods,
+  * the user is logged out of the application even if the request fails
+  * @param {object} init - the fetch options
+  * @returns {Promise} rejected with a LogoutError if the request fails
   */
- _setCookie () {
-    if (!this._refreshToken) {
-      document.cookie = this._id + '=;expires=Thu, 01 Jan 1970 00:00:01 GMT;path=/'
-    } else {
-      var domain = window.location.hostname
-      document.cookie = this._id + '=' + this._refreshToken + ';;path=/;;SameSite=strict;Domain=' + domain 
+ _requestLogout (init) {
+   return fetch(this._config.logoutUrl, init)
+   .then((resp) => {
+     if (!resp.ok) {
+       return LogoutError.fromResponse(resp).then((error) => { throw error })
+     }
+   }, (error) => {
+     throw new LogoutError('NETWORK_ERROR', 'Unable to reach ' + this._config.logoutUrl + ': ' + error.message)
+   })
+   .then(() => this._resetUser(), (error) => {
+     this._resetUser()
+     this._triggerError(error)
+     throw error
+   })
+ }
+ /**
+  * Revoke the refresh token and the access token at the provider,
+  * the failures are sent to the error event and do not stop the logout
+  * @returns {Promise} resolved when all revocations are finished
+  */
+ _revokeTokens () {
+   if (!this._config.revocationUrl) {
+     return Promise.resolve()
+   }
+   var tokens = []
+   if (this._refreshToken && this._refreshToken !== this._token) {
+     tokens.push({token: this._refreshToken, hint: 'refresh_token'})
+   }
+   if (this._token) {
+     tokens.push({token: this._token, hint: 'access_token'})
+   }
+   return Promise.all(tokens.map((item) => {
+     return fetch(this._config.revocationUrl, this._getTokenRequest({
+       token: item.token,
+       token_type_hint: item.hint
+     }))
+     .then((resp) => {
+       if (!resp.ok) {
+         return LogoutError.fromResponse(resp).then((error) => { throw error })
+       }
+     })
+     .catch((error) => {
+       this._triggerError(new LogoutError('REVOCATION_FAILED', 'Unable to revoke the ' + item.hint, {
+         error: error.error,
+         error_description: error.error_description,
+         status: error.status
+       }))
+     })
+   }))
+ }
+ /**
+  * Get the redirect uri after logout
+  * @returns {string}
+  */
+ _getRedirectUriLogout () {
+   return this._config.redirectUriLogout || AuthService._redirectUriLogout ||
+     this._config.redirectUri || AuthService._redirectUri
+ }
+ /**
+  * Get the provider logout url (RP-Initiated Logout)
+  * @param {string} state - the logout request state
+  * @returns {string}
+  */
+ _getLogoutUrl (state) {
+   var params = {
+     client_id: this._config.clientId,
+     post_logout_redirect_uri: this._getRedirectUriLogout(),
+     state: state
+   }
+   if (this._idToken) {
+     params.id_token_hint = this._idToken
+   }
+   var url = this._config.logoutUrl + (this._config.logoutUrl.indexOf('?') < 0 ? '?' : '&')
+   return url + Object.keys(params).filter(function (key) {
+     return params[key] !== null && params[key] !== undefined
+   }).map(function (key) {
+     return encodeURIComponent(key) + '=' + encodeURIComponent(params[key])
+   }).join('&')
+ }
+ /**
+  * Logout from the identity provider session, for public methods
+  * @param {string} mode - "popup", "redirect" or "silent"
+  * @param {Window} popup - the blank popup opened by logout, for the popup mode
+  */
+ _endSession (mode, popup) {
+   var state = myCrypto.generateRandomString()
+   var url = this._getLogoutUrl(state)
+   switch (mode) {
+     case 'redirect':
+       // confirmed by handleRedirectCallback when the application is reloaded
+       window.sessionStorage.setItem(this._getRedirectStateKey() + '_logout', state)
+       this._resetUser()
+       window.location.assign(url)
+       break
+     case 'popup':
+       // confirmed by the message of the redirect page, or when the user closes the popup
+       this._logoutState = state
+       if (!popup) {
+         this._triggerError(new LogoutError('POPUP_BLOCKED', 'The logout popup is blocked by the browser'))
+         this._completeLogout()
+         return
+       }
+       this._logoutPopup = popup
+       if (!popup.closed) {
+         popup.location.href = url
+       }
+       var loop = setInterval(() => {
+         if (this._logoutState !== state) {
+           clearInterval(loop)
+         } else if (popup.closed) {
+           clearInterval(loop)
+           this._completeLogout()
+         }
+       }, 500)
+       break
+     default:
+       // opaque response: the provider session is ended only if the browser sent its third-party cookies
+       this._logoutState = state
+       fetch(url, {mode: 'no-cors', credentials: 'include'})
+       .then(() => {
+         if (this._logoutState === state) {
+           this._completeLogout()
+         }
+       }, (error) => {
+         this._triggerError(new LogoutError('NETWORK_ERROR', 'Unable to logout from the provider: ' + error.message))
+         this._completeLogout()
+       })
+   }
+ }
+ /**
+  * The provider confirmed the logout: clear the user
+  */
+ _completeLogout () {
+   this._logoutState = null
+   if (this._logoutPopup) {
+     if (!this._logoutPopup.closed) {
+       this._logoutPopup.close()
+     }
+     this._logoutPopup = null
+   }
+   this._resetUser()
+ }
+ /**
+  * Record or remove the refreshToken in the service storage
+  * only for public and device_code methods
+  * @returns {Promise}
+  */
+ _storeRefreshToken () {
+    if (!this._hasStoredRefreshToken()) {
+      return Promise.resolve()
     }
+    var refreshToken = this._refreshToken
+    return Promise.resolve()
+    .then(() => {
+      var storage = this._getStorage()
+      return refreshToken ? storage.set(this._id, refreshToken) : storage.remove(this._id)
+    })
+    .catch((error) => this._triggerError(new AuthError('STORAGE_ERROR', 'Unable to store the refresh token: ' + error.message)))
   }
   /**
   * Only for public method
-  * Test if there is a cookie for the service
+  * Test if there is a refresh token stored for the service
   * automatically login or logout the user
+  * @returns {Promise}
   */
  _testLogin () {
-      var cookie = this._getCookie()
-      if (!this._identity && cookie && cookie !== 'undefined') {
-        this._refreshToken = cookie
-        this._requestRefreshToken()
-      }  else if (this._identity && !cookie ) {
-        this._resetUser()
-      }
+      return this._getStoredRefreshToken()
+      .then((refreshToken) => {
+        if (!this._identity && refreshToken) {
+          this._refreshToken = refreshToken
+          return this._requestRefreshToken()
+        }  else if (this._identity && !refreshToken) {
+          this._resetUser()
+        }
+      })
  }
  /**
   * @param {window:message} event
   * @listens message
   */
  _receiveMessage (event) {
-   console.log(event.origin)
-   if (this._config.method === 'apache' && this._config.authUrl.indexOf(event.origin) >= 0) {
-     if (event.data.email) {
+   if (!event.data || typeof event.data !== 'object') {
+     return
+   }
+   if (event.data.type === 'frontchannel_logout') {
+     if (event.origin === window.location.origin) {
+       this._frontChannelLogout(event.data.iss, event.data.sid)
+     }
+     return
+   }
+   if (this._config.method === 'apache') {
+     if (event.data.email && this._isOrigin(this._config.authUrl, event.origin)) {
         this._setToken(event.data)
      }
      return
    } 
+   if (this._logoutState && event.data.state === this._logoutState &&
+     this._isOrigin(this._getRedirectUriLogout(), event.origin)) {
+     this._completeLogout()
+     return
+   }
    var redirectUri = this._config.redirectUri || AuthService._redirectUri
-   if (event.data.code && event.data.state === this._state && redirectUri.indexOf(event.origin) === 0) {
-      console.log(event)
-      this.running = true
-      this._requestToken(event.data.code)
-      if (this._iframe) {
-        this._iframe.remove()
-        this._iframe = null
-      }
+   if ((!event.data.code && !event.data.error) || !this._isOrigin(redirectUri, event.origin)) {
+     return
+   }
+   var attempt = this._takeAttempt(event.data.state)
+   if (attempt) {
+     this._handleAuthResponse(event.data, attempt)
+   }
+ }
+ /**
+  * Request the token with the code of the authorization response, or report its error
+  * @param {object} params - the authorization response {code, state, session_state, error, error_description, iss}
+  * @param {object} attempt - the login attempt with this state
+  */
+ _handleAuthResponse (params, attempt) {
+   var error = null
+   if (params.error) {
+     error = new AuthorizeError(params.error, params.error_description, {
+       error: params.error,
+       error_description: params.error_description
+     })
+   } else if (params.iss && this._config.issuer && params.iss !== this._config.issuer) {
+     // RFC 9207: response from another provider
+     error = new AuthorizeError('INVALID_ISSUER', 'Authorization response from an unexpected issuer: ' + params.iss)
+   }
+   if (error) {
+     if (attempt.reject) {
+       attempt.reject(error)
+     }
+     // login_required... is an expected answer to a silent sign in
+     if (!attempt.silent) {
+       this._triggerError(error)
+     }
+     return
+   }
+   attempt.sessionState = params.session_state || null
+   this.running = true
+   this._requestToken(params.code, attempt)
+ }
+ /**
+  * Logout the user if the provider ended his session (front-channel logout)
+  * @param {string} iss - the provider issuer
+  * @param {string} sid - the provider session identifier
+  */
+ _frontChannelLogout (iss, sid) {
+   if (!this._identity || !this._idToken) {
+     return
+   }
+   if (iss && this._config.issuer && iss !== this._config.issuer) {
+     return
+   }
+   var claims = jwt_decode(this._idToken)
+   if (claims.sid && claims.sid === sid) {
+     this._resetUser()
+   }
+ }
+ /**
+  * Is the url on this origin
+  * @param {string} url
+  * @param {string} origin - the origin of a message
+  * @returns {boolean}
+  */
+ _isOrigin (url, origin) {
+   try {
+     return new URL(url, window.location.href).origin === origin
+   } catch (e) {
+     return false
+   }
+ }
+ /**
+  * Follow the provider session with its check_session_iframe
+  */
+ _monitorSession () {
+   if (!this._config.monitorSession || !this._config.checkSessionUrl || !this._sessionState) {
+     return
+   }
+   if (!this._sessionMonitor) {
+     this._sessionMonitor = new SessionMonitor({
+       url: this._config.checkSessionUrl,
+       clientId: this._config.clientId,
+       interval: this._config.checkSessionInterval * 1000,
+       onChanged: () => this._onSessionChanged()
+     })
+   }
+   this._sessionMonitor.start(this._sessionState)
+ }
+ /**
+  * The provider reports a change of the session: check it with a silent sign in,
+  * the user is logged out if there is no more session
+  */
+ _onSessionChanged () {
+   this.signinSilent()
+   .then((identity) => {
+     this._emit('sessionChanged', identity, this)
+   }, (error) => {
+     if (['login_required', 'interaction_required', 'consent_required'].indexOf(error.code) >= 0) {
+       this._resetUser()
+     } else {
+       // unable to know: check again later
+       this._monitorSession()
+     }
+   })
+ }
+ /**
+  * Options of a form request to the provider, with the client authentication:
+  * HTTP basic with the client secret, or the client_id parameter for a public client
+  * @param {object} params - the form parameters
+  * @returns {object} fetch options
+  */
+ _getTokenRequest (params) {
+   var headers = {
+     'Content-Type': 'application/x-www-form-urlencoded',
+     'Accept': 'application/json'
+   }
+   params = Object.assign({}, params)
+   if (this._config.clientSecret) {
+     headers['Authorization'] = 'Basic ' + btoa(encodeURIComponent(this._config.clientId) + ':' + encodeURIComponent(this._config.clientSecret))
+   } else {
+     params.client_id = this._config.clientId
+   }
+   return {
+     method: 'POST',
+     headers: headers,
+     credentials: 'omit',
+     body: Object.keys(params).map(function (key) {
+       return encodeURIComponent(key) + '=' + encodeURIComponent(params[key])
+     }).join('&')
+   }
+ }
+ /**
+  * Request a token of the service account (client_credentials grant)
+  * @param {class} ErrorClass - TokenError for the login, RefreshError for the refresh
+  * @returns {Promise} Promise object represents the token response
+  */
+ _requestClientToken (ErrorClass) {
+   var params = {grant_type: 'client_credentials'}
+   if (this._config.scope && this._config.scope !== 'openid') {
+     params.scope = [].concat(this._config.scope).join(' ')
+   }
+   return this._fetchJson(this._config.tokenUrl, this._getTokenRequest(params), ErrorClass)
+ }
+ /**
+  * Device authorization grant (RFC 8628): request a device code, send the user code to the
+  * deviceCode event, then poll the token endpoint until the user accepts
+  * @param {object} options - login options, scope {optional}
+  * @returns {Promise} Promise object represents the user identity
+  */
+ _loginWithDevice (options) {
+   if (this._deviceLogin) {
+     return this._deviceLogin
    }
+   this.running = true
+   this._emit('loginStarted', this)
+   this._deviceLogin = this._ready.then(() => {
+     if (!this._config.deviceAuthorizationUrl) {
+       throw new AuthorizeError('NO_DEVICE_AUTHORIZATION_URL', 'No endpoint to request a device code')
+     }
+     var scope = options.hasOwnProperty('scope') ? options.scope : this._config.scope
+     return this._fetchJson(this._config.deviceAuthorizationUrl, this._getTokenRequest({
+       scope: this._getScope([].concat(scope || []).join(' '))
+     }), AuthorizeError)
+   })
+   .then((device) => {
+     this._emit('deviceCode', {
+       user_code: device.user_code,
+       verification_uri: device.verification_uri,
+       verification_uri_complete: device.verification_uri_complete || null,
+       expires_in: device.expires_in
+     }, this)
+     return this._pollDeviceToken(device)
+   })
+   .catch((error) => this._rejectToken(error))
+   // the failures of _setToken are already sent to the error event
+   .then((data) => this._setToken(data))
+   .finally(() => {
+     this.running = false
+     this._deviceLogin = null
+   })
+   return this._deviceLogin
+ }
+ /**
+  * Poll the token endpoint with the device code
+  * @param {object} device - the device authorization response
+  * @returns {Promise} Promise object represents the token response, rejected with
+  * access_denied or expired_token
+  */
+ _pollDeviceToken (device) {
+   var interval = (device.interval || 5) * 1000
+   var expires = Date.now() + (device.expires_in || 600) * 1000
+   var params = {
+     grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+     device_code: device.device_code
+   }
+   var poll = () => new Promise((resolve) => setTimeout(resolve, interval))
+   .then(() => {
+     if (Date.now() > expires) {
+       throw new TokenError('expired_token', 'The device code is expired', {error: 'expired_token'})
+     }
+     return this._fetchJson(this._config.tokenUrl, this._getTokenRequest(params), TokenError)
+     .catch((error) => {
+       switch (error.code) {
+         case 'authorization_pending':
+           return poll()
+         case 'slow_down':
+           interval += 5000
+           return poll()
+       }
+       throw error
+     })
+   })
+   return poll()
+ }
+ /**
+  * Request a json endpoint, non-2xx responses, network failures and OIDC errors are rejected.
+  * The transient failures (network, 5xx, 429) are retried with backoff, the requests wait
+  * while the browser is offline
+  * @param {string} url
+  * @param {object} init - same as window.fetch
+  * @param {class} ErrorClass - the AuthError class of the phase
+  * @param {number} retry=0 - number of the retry {optional}
+  * @returns {Promise} Promise object represents the json, rejected with an ErrorClass
+  */
+ _fetchJson (url, init, ErrorClass, retry) {
+   retry = retry || 0
+   var retryAfter = null
+   return this._whenOnline()
+   .then(() => fetch(url, init))
+   .then((resp) => {
+     if (!resp.ok) {
+       retryAfter = this._parseRetryAfter(resp.headers.get('Retry-After'))
+       return ErrorClass.fromResponse(resp).then((error) => { throw error })
+     }
+     return resp.json()
+     .catch(() => {
+       throw new ErrorClass('INVALID_RESPONSE', 'The response of ' + url + ' is not json', {status: resp.status})
+     })
+   }, (error) => {
+     throw new ErrorClass('NETWORK_ERROR', 'Unable to reach ' + url + ': ' + error.message)
+   })
+   .then((json) => {
+     if (!json || typeof json !== 'object') {
+       throw new ErrorClass('INVALID_RESPONSE', 'The response of ' + url + ' is not an object')
+     }
+     if (json.error) {
+       throw new ErrorClass(json.error, json.error_description, {
+         error: json.error,
+         error_description: json.error_description
+       })
+     }
+     return json
+   })
+   .catch((error) => {
+     if (retry >= this._config.retries || !this._isTransientError(error)) {
+       throw error
+     }
+     return new Promise((resolve) => setTimeout(resolve, this._getRetryDelay(retry, retryAfter)))
+     .then(() => this._fetchJson(url, init, ErrorClass, retry + 1))
+   })
+ }
+ /**
+  * @param {AuthError} error
+  * @returns {boolean} true if the request can succeed later: network failure, server error or too many requests
+  */
+ _isTransientError (error) {
+   return error.code === 'NETWORK_ERROR' || error.status === 429 || error.status >= 500
+ }
+ /**
+  * Exponential backoff with jitter, at least the Retry-After delay
+  * @param {number} retry - number of the retry
+  * @param {number} retryAfter - delay (ms) required by the server {optional}
+  * @returns {number} delay in milliseconds
+  */
+ _getRetryDelay (retry, retryAfter) {
+   var delay = Math.min(this._config.retryDelay * 1000 * Math.pow(2, retry), this._config.retryMaxDelay * 1000)
+   delay = delay / 2 + Math.random() * delay / 2
+   return Math.max(delay, retryAfter || 0)
+ }
+ /**
+  * @param {string} value - Retry-After header: delay in seconds or HTTP date
+  * @returns {number|null} delay in milliseconds
+  */
+ _parseRetryAfter (value) {
+   if (!value) {
+     return null
+   }
+   if (/^\d+$/.test(value)) {
+     return parseInt(value) * 1000
+   }
+   var date = Date.parse(value)
+   return isNaN(date) ? null : Math.max(0, date - Date.now())
+ }
+ /**
+  * @returns {Promise} resolved when the browser is online
+  */
+ _whenOnline () {
+   if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+     return Promise.resolve()
+   }
+   return new Promise(function (resolve) {
+     window.addEventListener('online', resolve, {once: true})
+   })
  }
  /**
   * Request the endpoints url from an openId SSO
+  * the endpoints are recorded only when the openid configuration is valid
   * @param {string} url - the openid provider url
+  * @returns {Promise} rejected with INVALID_OPENID
   */
  _requestOpenidEndpoints (url) {
-   this._config.type = 'openid'
    if (url.substr(-1) != '/') {
       url = url + '/'
     }
-    url += '/.well-known/openid-configuration'
-    fetch(url)
-    .then(resp => {return resp.json()}, resp => {this._triggerError('INVALID_OPENID')})
+    url += '.well-known/openid-configuration'
+    return this._fetchJson(url, {}, DiscoveryError)
+    .catch((error) => {
+      throw new DiscoveryError('INVALID_OPENID', 'Unable to get the openid configuration from ' + url, {status: error.status})
+    })
     .then(json => {
-      if (json && json.authorization_endpoint) {
-       this._config.authUrl = json.authorization_endpoint
-       this._config.tokenUrl = json.token_endpoint
-       this._config.refreshUrl = json.token_endpoint
-       this._config.userinfoUrl = json.userinfo_endpoint
-       this._config.logoutUrl = json.end_session_endpoint
+      if (!json.authorization_endpoint || !json.token_endpoint) {
+        throw new DiscoveryError('INVALID_OPENID', 'Incomplete openid configuration from ' + url)
       }
+      this._config.type = 'openid'
+      this._config.authUrl = json.authorization_endpoint
+      this._config.tokenUrl = json.token_endpoint
+      this._config.refreshUrl = json.token_endpoint
+      this._config.userinfoUrl = json.userinfo_endpoint
+      this._config.logoutUrl = json.end_session_endpoint
+      this._config.revocationUrl = json.revocation_endpoint || null
+      this._config.checkSessionUrl = json.check_session_iframe || null
+      this._config.jwksUrl = json.jwks_uri
+      this._config.deviceAuthorizationUrl = json.device_authorization_endpoint || null
+      this._config.issuer = json.issuer
     })
 }
  /**
   * Update the token or refresh session
+  * @returns {Promise} resolved when the refresh is finished or the session is ended,
+  * rejected with a RefreshError when the refresh failed (the user is logged out only
+  * if the refresh token is refused, see _refreshFailed)
   */
  _requestRefreshToken () {
+   if (this._refresh_expire && this._refresh_expire <= Date.now()) {
+     this._expireSession()
+     return Promise.resolve()
+   }
    switch (this._config.method) {
      case 'backend-token':
-       fetch(this._config.refreshUrl, {
+       return this._fetchJson(this._config.refreshUrl, {
          headers: {
                 'Authorization': 'Bearer ' + this._refreshToken
          },
          credentials: 'omit'
-       }).then((resp) => { return resp.json()}, (resp) => {this._resetUser()})
+       }, RefreshError)
        .then((data) => {
-         this._token = data.token || data.access_token
-         this._refreshToken = data.refresh_token || this._token
+         this._updateToken(data)
        })
-       break
+       .catch((error) => this._refreshFailed(error))
     
      case 'backend-credentials':
      case 'apache':
@@ -666,68 +2250,333 @@ class AuthService {
 //        if (this._cookie) {
 //          headers['Cookie'] = this._cookie
 //        }
-       fetch(this._config.refreshUrl, {
+       return this._fetchJson(this._config.refreshUrl, {
          headers: headers,
          credentials: 'include'
-       })
-       .then((resp) => {return resp.json()},
-            (resp) => { return {}})
+       }, RefreshError)
        .then((data) => {
          if (!data.email) {
-           this._resetUser() 
+           // no session with the backend
+           this._expireSession()
          } else {
+           var refreshed = !!this._identity
            this._setUserCredentials(data)
+           if (refreshed) {
+             this._broadcast('refreshed', data)
+             this._emit('tokenRefreshed', this._token, this)
+           }
          }
-       })
-       break
+       }, (error) => this._refreshFailed(error))
+     case 'client_credentials':
+       // a new token of the service account
+       return this._requestClientToken(RefreshError)
+       .then((data) => {
+         if (!this._identity) {
+           // a refused token is already sent to the error event
+           return this._setToken(data)
+         }
+         this._updateToken(data)
+       }, (error) => this._refreshFailed(error))
      case 'public': 
      case 'public_verifier':
-       var cookie = this._getCookie()
-       if (!cookie || cookie === 'undefined') {
-         this._resetUser()
-       }
-       
-       var postdata = 'refresh_token=' + cookie
-       postdata += '&grant_type=refresh_token'
-       postdata += '&client_id=' + this._config.clientId
-       if (this._config.method === 'public') {
-        postdata += '&redirect_uri=' + encodeURIComponent(AuthService._redirectUri)
+     case 'device_code':
+       return this._getStoredRefreshToken()
+       .then((refreshToken) => {
+         if (!refreshToken) {
+           this._expireSession()
+           return
+         }
+         var params = {
+           refresh_token: refreshToken,
+           grant_type: 'refresh_token'
+         }
+         if (this._config.method === 'public') {
+          params.redirect_uri = AuthService._redirectUri
+         }
+         return this._fetchJson(this._config.refreshUrl, this._getTokenRequest(params), RefreshError)
+         .then((data) => {
+             if (!data.access_token && !data.token) {
+               throw new RefreshError('NO_TOKEN', 'No token in the refresh response')
+             } else if (!this._identity) {
+                 // already sent to the error event
+                 return this._setToken(data).catch(() => this._expireSession())
+             } else {
+               this._updateToken(data)
+             } 
+        })
+        .catch((error) => this._refreshFailed(error))
+       })
+   }
+   return Promise.resolve()
+ }
+ /**
+  * Report a failed refresh, end the session only if the provider refuses the refresh token
+  * (invalid_grant, or 401 of the backend methods), otherwise try again later
+  * @param {RefreshError} error
+  * @returns {Promise} rejected with the error
+  */
+ _refreshFailed (error) {
+   this._triggerError(error)
+   var backend = this._config.method === 'backend-token' || this._config.method === 'backend-credentials' || this._config.method === 'apache'
+   if (error.code === 'invalid_grant' || (backend && error.status === 401)) {
+     this._expireSession()
+   } else if (this._identity) {
+     this._getScheduler().schedule(
+       Date.now() + (this._config.refreshLeadTime + this._config.retryMaxDelay) * 1000,
+       this._refresh_expire
+     )
+   }
+   return Promise.reject(error)
+ }
+ /**
+  * Refresh the token, the concurrent calls share the same request
+  * @returns {Promise}
+  */
+ _refreshOnce () {
+   if (!this._refreshing) {
+     this._refreshing = this._requestRefreshToken()
+     .finally(() => {
+       this._refreshing = null
+     })
+   }
+   return this._refreshing
+ }
+ /**
+  * Add the credentials of the service method to the request options
+  * @param {Request|string} input - the fetch resource
+  * @param {object} init - the fetch options {optional}
+  * @returns {object} new fetch options
+  */
+ _getAuthInit (input, init) {
+   init = Object.assign({}, init)
+   switch (this._config.method) {
+     case 'public':
+     case 'public_verifier':
+     case 'backend-token':
+     case 'client_credentials':
+     case 'device_code':
+       var headers = new Headers(init.headers || (input instanceof Request ? input.headers : {}))
+       if (this._token) {
+         headers.set('Authorization', 'Bearer ' + this._token)
        }
-       fetch(this._config.refreshUrl, 
-        {
-          method: 'POST',
-          headers: {
-                "Content-Type": "application/x-www-form-urlencoded"
-          },
-          credentials: 'omit',
-          body: postdata
-       }).then((resp) => { 
-             this._expire = resp.headers.expire
-             return resp.json()
-            }, 
-            (resp) => {this._resetUser(true)
-       }).then((data) => {
-           
-           if (!this._identity) {
-               this._setToken(data)
-           } else {
-             this._token = data.token || data.access_token
-             this._refreshToken = data.refresh_token || this._token
-             var time = Date.now() / 1000
-             this._expire_in = time + data.expires_in
-             this._refresh_expire = time + data.refresh_expires_in
-             this._expire_in = data.expires_in * 1000
-             this._setCookie()
-           } 
-      })
-      break
+       init.headers = headers
+       break
+     case 'backend-credentials':
+     case 'apache':
+       init.credentials = 'include'
+       break
+   }
+   return init
+ }
+ /**
+  * Record the refreshed token of an authenticated user
+  * @param {object} data - the token response
+  */
+ _updateToken (data) {
+   this._token = data.token || data.access_token
+   // keep the stored refresh token when it is not rotated, or not sent by the other tab
+   if (data.refresh_token) {
+     this._refreshToken = data.refresh_token
+     this._storeRefreshToken()
+   } else if (!this._hasStoredRefreshToken()) {
+     this._refreshToken = this._token
+   }
+   if (data.id_token) {
+     this._idToken = data.id_token
+   }
+   if (data.scope) {
+     this._scope = data.scope
+   }
+   this._scheduleRefresh(data)
+   this._broadcast('refreshed', data)
+   this._emit('tokenRefreshed', this._token, this)
+ }
+ /**
+  * Record the expiration timestamps of the tokens and plan the refresh
+  * @param {object} data - the token response
+  */
+ _scheduleRefresh (data) {
+   var now = Date.now()
+   if (data.expires_in) {
+     this._expire = now + data.expires_in * 1000
+   } else {
+     var exp = this._decodeExp(data.token || data.access_token) || this._decodeExp(data.id_token)
+     this._expire = exp ? exp * 1000 : null
+   }
+   if (data.refresh_expires_in) {
+     this._refresh_expire = now + data.refresh_expires_in * 1000
+   } else {
+     // keycloak refresh token is a jwt, 0 or no exp for offline token
+     var refreshExp = data.refresh_token ? this._decodeExp(data.refresh_token) : null
+     this._refresh_expire = refreshExp ? refreshExp * 1000 : null
+   }
+   if (this._expire) {
+     this._getScheduler().schedule(this._expire, this._refresh_expire)
+   }
+ }
+ /**
+  * Authentication level of the identity token
+  * @returns {object} {acr, authTime}
+  */
+ _getAuthLevel () {
+   var claims = this._decodeClaims(this._idToken) || {}
+   return {acr: claims.acr || null, authTime: claims.auth_time || null}
+ }
+ /**
+  * Does the identity token match the required level
+  * @param {object} requirement
+  * @param {number} requirement.maxAge - maximum delay (seconds) since the user authentication {optional}
+  * @param {string[]} requirement.acr - accepted acr, empty for any
+  * @returns {boolean}
+  */
+ _isAuthLevel (requirement) {
+   var level = this._getAuthLevel()
+   if (typeof requirement.maxAge === 'number' &&
+     (!level.authTime || Date.now() / 1000 - level.authTime > requirement.maxAge + this._config.clockSkew)) {
+     return false
+   }
+   return requirement.acr.length === 0 || requirement.acr.indexOf(level.acr) >= 0
+ }
+ /**
+  * Decode a jwt, the claims can be wrapped in data (backend-token)
+  * @param {string} token
+  * @returns {object|null} the claims, null if the token is not a jwt
+  */
+ _decodeClaims (token) {
+   if (!token || typeof token !== 'string') {
+     return null
+   }
+   try {
+     var obj = jwt_decode(token)
+     return obj.data || obj
+   } catch (e) {
+     return null
+   }
+ }
+ /**
+  * Claims of the user from all sources: access token, identity token and identity
+  * @returns {object[]}
+  */
+ _getClaimsList () {
+   if (!this._identity) {
+     return []
+   }
+   return [this.getAccessTokenClaims(), this._decodeClaims(this._idToken), this._identity]
+   .filter(claims => claims && typeof claims === 'object')
+ }
+ /**
+  * Get the realm roles or the roles of a client
+  * @param {string|boolean} client - the client identifier, true for this client {optional}
+  * @returns {string[]}
+  */
+ _getRoles (client) {
+   if (client === true) {
+     client = this._config.clientId
+   }
+   var roles = []
+   this._getClaimsList().forEach(function (claims) {
+     var found = null
+     if (client) {
+       found = claims.resource_access && claims.resource_access[client] && claims.resource_access[client].roles
+     } else {
+       found = (claims.realm_access && claims.realm_access.roles) || claims.roles
+     }
+     if (Array.isArray(found)) {
+       roles = roles.concat(found)
+     }
+   })
+   return roles
+ }
+ /**
+  * Get the exp claim of a jwt
+  * @param {string} token
+  * @returns {number|null} the exp in seconds, null if the token is not a jwt
+  */
+ _decodeExp (token) {
+   if (!token || typeof token !== 'string') {
+     return null
+   }
+   try {
+     return jwt_decode(token).exp || null
+   } catch (e) {
+     return null
+   }
+ }
+ _getScheduler () {
+   if (!this._scheduler) {
+     this._scheduler = new RefreshScheduler({
+       lead: this._config.refreshLeadTime * 1000,
+       onRefresh: () => this._refreshFromTimer(),
+       onExpired: () => this._expireSession()
+     })
+   }
+   return this._scheduler
+ }
+ /**
+  * Called by the refresh timer, only the elected tab requests a new token,
+  * the others wait for its result
+  */
+ _refreshFromTimer () {
+   this._emit('tokenExpiring', this)
+   if (!this._tabSync || this._tabSync.isLeader()) {
+     this._requestRefreshToken().catch(() => {})
+     return
+   }
+   var token = this._token
+   setTimeout(() => {
+     // the elected tab did not share a new token
+     if (this._identity && this._token === token) {
+       this._requestRefreshToken().catch(() => {})
+     }
+   }, TabSync.leaseDuration)
+ }
+ /**
+  * Send login, logout or refreshed to the others tabs
+  * @param {string} type
+  * @param {object} data {optional}
+  */
+ _broadcast (type, data) {
+   if (this._tabSync && !this._syncing) {
+     this._tabSync.post(type, data)
+   }
+ }
+ /**
+  * Apply the login, logout or refreshed token of another tab
+  * @param {object} message
+  * @param {string} message.type - login, logout or refreshed
+  * @param {object} message.data - the token response or the credentials
+  */
+ _receiveTabMessage (message) {
+   this._syncing = true
+   try {
+     switch (message.type) {
+       case 'login':
+       case 'refreshed':
+         if (message.data.email) {
+           this._setUserCredentials(message.data)
+         } else if (!this._identity) {
+           // already checked by the tab which received it
+           this._storeToken(message.data).catch(() => {})
+         } else if (message.type === 'refreshed') {
+           this._updateToken(message.data)
+         }
+         break
+       case 'logout':
+         if (this._identity) {
+           this._resetUser()
+         }
+         break
+     }
+   } finally {
+     this._syncing = false
    }
  }
  /**
   * Get the access token
   * @param {string} code - the openid code use to get the token
+  * @param {object} attempt - the login attempt which received the code (with codeVerifier after a redirect)
   */
- _requestToken (code) {
+ _requestToken (code, attempt) {
       if (this._reject) {
         return
       }
@@ -738,11 +2587,13 @@ class AuthService {
       }
       var credentials = 'omit'
       var url = this._config.tokenUrl
+      // the attempt restored after a redirect has the verifier of the previous page
+      var codeVerifier = attempt.codeVerifier || this._codeVerifier
       switch (this._config.method) {
         case 'backend-token':
           var data = {
             code: code,
-            state: this._state,
+            state: attempt.state,
             clientId: this._config.clientId,
             redirectUri: AuthService._redirectUri
           }
@@ -757,8 +2608,8 @@ class AuthService {
          body = 'code=' + code
          body += '&clientId=' + this._config.clientId
          body += '&redirectUri=' + encodeURIComponent(AuthService._redirectUri)
-         body += '&nonce=' + btoa(this._nonce)
-         body += '&codeVerifier=' + this._codeVerifier
+         body += '&nonce=' + btoa(attempt.nonce)
+         body += '&codeVerifier=' + codeVerifier
          if (this._config.sso) {
           body += '&sso=' + this._config.sso
          }
@@ -771,25 +2622,40 @@ class AuthService {
           body += '&client_id=' + this._config.clientId
           body += '&redirect_uri=' + encodeURIComponent(redirectUri)
           if (this._config.method === 'public_verifier') {
-            body += '&code_verifier=' + this._codeVerifier
+            body += '&code_verifier=' + codeVerifier
           }
           break
       }
       
-      fetch(url, {
+      this._fetchJson(url, {
           method: 'POST',
           headers: headers,
           credentials: credentials,
           body: body
-      })
-      .then((resp) => {return resp.json()})
+      }, TokenError)
       .then((data) => { 
-        this._setToken(data)
+        if (attempt.sessionState && !data.session_state) {
+          data.session_state = attempt.sessionState
+        }
+        return this._setToken(data, attempt.nonce)
+        .then((identity) => {
+          this.running = false
+          if (attempt.resolve) {
+            attempt.resolve(identity)
+          }
+        }, (error) => {
+          // already sent to the error event
+          this.running = false
+          if (attempt.reject) {
+            attempt.reject(error)
+          }
+        })
+      }, (error) => {
         this.running = false
-      })
-      .catch((error) => {
         this._triggerError(error)
-        this.running = false
+        if (attempt.reject) {
+          attempt.reject(error)
+        }
       })
  }
  /**
@@ -798,17 +2664,17 @@ class AuthService {
   * @param {callback} reject
   */
  _requestUserInfo (resolve, reject) {
-  if (!this._config.userinfoUrl) {
-    if (reject) {
-      return reject('NO_USERINFO_URL') 
+   var fail = (error) => {
+     this._triggerError(error)
+     if (reject) {
+       reject(error)
      }
-     return
+   }
+   if (!this._config.userinfoUrl) {
+     return fail(new UserInfoError('NO_USERINFO_URL', 'No user info endpoint'))
    }
    if (this._config.method !== 'apache' && this._config.method !== 'credentials' && !this._token) {
-     if (reject) {
-       return reject('NOT_AUTHENTICATED')
-     }
-     return
+     return fail(new UserInfoError('NOT_AUTHENTICATED', 'No access token to request the user info'))
    }
    
    var self = this
@@ -822,89 +2688,161 @@ class AuthService {
      }
      credentials = 'include'
    }
-   return fetch(this._config.userinfoUrl, {
+   return this._fetchJson(this._config.userinfoUrl, {
      headers: headers,
      credentials: credentials
-  })
-  .then((resp) => {return (resp.json())} , (resp) => {reject(self._identity)})
+  }, UserInfoError)
   .then((json) => {
     if (!self._identity) {
       self._identity = {}
     }
     self._identity = Object.assign(self._identity, json.profile || json)
-    resolve(self._identity, self)
-  })
+    self._emit('userInfoUpdated', self._identity, self)
+    if (resolve) {
+      resolve(self._identity, self)
+    }
+  }, fail)
  }
  /**
   * Reset the user identity, token ...
   */
  _resetUser () {
-   if (this._timer) {
-      clearInterval(this._timer)
+   if (this._scheduler) {
+      this._scheduler.stop()
+   }
+   if (this._sessionMonitor) {
+      this._sessionMonitor.stop()
    }
-   this._timer = null
+   this._sessionState = null
    this._identity = null
    this._expire = null
    this._refresh_expire = null
    this._token = null
+   this._idToken = null
+   this._scope = null
    this._refreshToken = null
-   this._setCookie()
-   if (this._callback.logout) {
-    this._callback.logout()
-  }
+   this._storeRefreshToken()
+   this._broadcast('logout')
+   this._emit('logout')
+ }
+ /**
+  * The refresh failed: end the session of an authenticated user
+  * @param {boolean} noRenew - do not try the silent sign in {optional}
+  */
+ _expireSession (noRenew) {
+   if (!noRenew && this._config.silentRenew && this._identity && !this._silentSignin &&
+     (this._config.method === 'public' || this._config.method === 'public_verifier')) {
+     // the provider session may be still alive
+     this.signinSilent()
+     .catch(() => this._expireSession(true))
+     return
+   }
+   if (this._identity) {
+     this._emit('sessionExpired', this)
+   }
+   this._resetUser()
  }
  /**
   * Record the token and others informations contains in identity token
   * when credentials data contains email
   * @param {object} data - contains a jwt token, or email
+  * @param {string} nonce - the nonce expected in the identity token {optional}
+  * @returns {Promise} Promise object represents the user identity, rejected when the token is refused
+  * (the error is also sent to the error event)
   */
- _setToken (data) {
+ _setToken (data, nonce) {
    if (data.email) {
-     
      this._setUserCredentials(data)
-     return 
+     return Promise.resolve(this._identity)
    }
    
+   var claims = data.id_token ? this._decodeClaims(data.id_token) : null
+   if (data.id_token && !claims) {
+     return this._rejectToken(new TokenError('INVALID_ID_TOKEN', 'The identity token can not be decoded'))
+   }
+   if (nonce && claims && claims.nonce !== nonce) {
+     return this._rejectToken(new TokenError('INVALID_NONCE', 'The identity token nonce does not match the login request'))
+   }
+   if (this._config.verifyIdToken && data.id_token) {
+     return this._verifyIdToken(data.id_token)
+     .then(() => this._storeToken(data), (error) => {
+       if (!error.phase) {
+         error.phase = 'token'
+       }
+       return this._rejectToken(error)
+     })
+   }
+   return this._storeToken(data)
+ }
+ /**
+  * Send the error of a refused token to the error event
+  * @param {AuthError} error
+  * @returns {Promise} rejected with the error
+  */
+ _rejectToken (error) {
+   this.running = false
+   this._triggerError(error)
+   return Promise.reject(error)
+ }
+ /**
+  * Verify the identity token signature with the provider keys and its claims
+  * @param {string} idToken
+  * @returns {Promise} Promise object represents the identity token claims
+  */
+ _verifyIdToken (idToken) {
+   if (!this._config.jwksUrl) {
+     return Promise.reject(new TokenError('NO_JWKS_URL', 'No endpoint to get the provider keys'))
+   }
+   return JwtVerifier.get(this._config.jwksUrl).verify(idToken, {
+     issuer: this._config.issuer,
+     clientId: this._config.clientId,
+     clockSkew: this._config.clockSkew
+   })
+ }
+ /**
+  * Record the token (already checked) and plan the refresh
+  * @param {object} data - contains a jwt token
+  * @returns {Promise} Promise object represents the user identity
+  */
+ _storeToken (data) {
    if (data.token || data.access_token) {
      var self = this
+     var identity = null
      this._token = data.token || data.access_token
     // this.logged = true
      if (data.refresh_token) {
         this._refreshToken = data.refresh_token
-        this._setCookie()
+        this._storeRefreshToken()
       } else {
         this._refreshToken = this._token
       }
-      if (data.id_token || data.token) {
-        var obj = data.id_token ? jwt_decode(data.id_token) : jwt_decode(data.token)
-        this._identity = obj.data || obj ||  null
-        if  (this._callback['authenticated']) {
-          this._callback['authenticated'](this._identity, this)
-          
-        }
+      this._idToken = data.id_token || null
+      this._scope = data.scope || null
+      this._sessionState = data.session_state || null
+      this._broadcast('login', data)
+      // the service account has no identity token: its identity is the access token
+      var claims = this._config.method === 'client_credentials' && !data.id_token ? this._decodeClaims(this._token) : null
+      if (data.id_token || data.token || claims) {
+        this._identity = claims || this._decodeClaims(data.id_token || data.token)
+        this.running = false
+        this._emit('authenticated', this._identity, this)
+        identity = Promise.resolve(this._identity)
       } else {
-        this._requestUserInfo(self._callback['authenticated'])
-      }
-      if (obj.exp) {
-         var now = new Date()
-        this._expire = obj.exp * 1000 - now.getTime()
-        if (this._expire > 30 * 60 * 1000) {
-          this._expire = 30 * 60 * 1000
-        }
-      }
-      if (data.expires_in && data.refresh_expires_in) {
-        var time = Date.now() / 1000
-        this._expire = time + data.expires_in
-        this._refresh_expire = time + data.refresh_expires_in
-        this._expire = (data.expires_in - 10) * 1000 
-      }
-      if (this._expire) {
-        this._timer = setInterval(function () {
-          self._requestRefreshToken()
-        }, this._expire)
+        identity = new Promise(function (resolve, reject) {
+          self._requestUserInfo(function (identity) {
+            self.running = false
+            self._emit('authenticated', identity, self)
+            resolve(identity)
+          }, reject)
+        })
       }
+      this._scheduleRefresh(data)
+      this._monitorSession()
+      return identity
     }  else {
-      this.logout()
+      // only local: no provider logout outside a user action
+      this._resetUser()
+      return this._rejectToken(new TokenError('NO_TOKEN', 'No token in the identity provider response'))
     }   
   }
   /**
@@ -916,35 +2854,38 @@ class AuthService {
         this._cookie = data.cookie
     }
     if (data.email) {
+        var first = !this._identity
         this._identity = data
         this._token = true
-        if (this._config.lifetime) {
-          this._expire = this._config.lifetime * 1000
-        } else {
-          this._expire = 1200000
-        }
-        if  (!this._timer && this._callback['authenticated']) {
-          this._callback['authenticated'](this._identity, this)    
-        }
-        if (!this._timer)  {
+        // the session is extended at each refresh
+        this._expire = Date.now() + this._config.lifetime * 1000
+        this._getScheduler().schedule(this._expire)
+        if  (first) {
+          this._broadcast('login', data)
+          this.running = false
+          this._emit('authenticated', this._identity, this)
           var self = this
           if (data.cookie) {
              setTimeout(function () {
               self.testLogin(data.cookie)
               }, 5000)
           }
-          
-          this._timer = setInterval(function () {
-            self._requestRefreshToken()
-          }, this._expire)
         }
      }
   }
   _triggerError (name) {
-    console.log('Error: ' + name)
-    if (this._callback.error) {
-      this._callback.error(name)
-    }
+    console.log('Error: ' + (name instanceof AuthError ? name.code : name))
+    this._emit('error', name)
+  }
+  /**
+   * Call the listeners of the event
+   * @param {string} eventName
+   * @param {...*} args - the listeners arguments
+   */
+  _emit (eventName, ...args) {
+    this._listeners[eventName].slice().forEach(function (callback) {
+      callback(...args)
+    })
   }
 
 }
@@ -0,0 +1,231 @@
+/**
+ * Verify the signature and the standard claims of an identity token
+ * with the keys published by the identity provider (jwks_uri)
+ * @class JwtVerifier
+ */
+import {AuthError} from './AuthError.js'
+
+/**
+ * WebCrypto parameters by JWS algorithm
+ */
+var ALGORITHMS = {
+  RS256: {
+    import: {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256'},
+    verify: {name: 'RSASSA-PKCS1-v1_5'}
+  },
+  ES256: {
+    import: {name: 'ECDSA', namedCurve: 'P-256'},
+    verify: {name: 'ECDSA', hash: 'SHA-256'}
+  }
+}
+
+function base64urlDecode (str) {
+  str = str.replace(/-/g, '+').replace(/_/g, '/')
+  while (str.length % 4) {
+    str += '='
+  }
+  var binary = atob(str)
+  var bytes = new Uint8Array(binary.length)
+  for (var i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+function decodePart (part) {
+  return JSON.parse(new TextDecoder().decode(base64urlDecode(part)))
+}
+
+class JwtVerifier {
+ /**
+  * Verifiers by jwks url, shared by the services of a same provider
+  * @property {object} _verifiers
+  * @private
+  * @static
+  */
+ static _verifiers = {}
+
+ /**
+  * Get the verifier of a jwks url
+  * @param {string} jwksUrl
+  * @returns {JwtVerifier}
+  * @static
+  */
+ static get (jwksUrl) {
+   if (!JwtVerifier._verifiers[jwksUrl]) {
+     JwtVerifier._verifiers[jwksUrl] = new JwtVerifier(jwksUrl)
+   }
+   return JwtVerifier._verifiers[jwksUrl]
+ }
+
+ /**
+  * @property {string} _jwksUrl - the provider keys endpoint
+  * @private
+  */
+ _jwksUrl = null
+
+ /**
+  * @property {object} _keys - the imported CryptoKey by kid
+  * @private
+  */
+ _keys = {}
+
+ /**
+  * @property {Promise} _loading - the pending request to jwks url
+  * @private
+  */
+ _loading = null
+
+ /**
+  * @param {string} jwksUrl - the provider keys endpoint
+  */
+ constructor (jwksUrl) {
+   this._jwksUrl = jwksUrl
+ }
+
+ /**
+  * Verify the token signature and claims
+  * @param {string} token - the jwt
+  * @param {object} expected
+  * @param {string} expected.issuer - the provider issuer {optional}
+  * @param {string} expected.clientId - the client identifier, expected in aud and azp
+  * @param {number} expected.clockSkew=0 - tolerance in seconds for exp and iat {optional}
+  * @returns {Promise} Promise object represents the token claims
+  */
+ verify (token, expected) {
+   var parts = token.split('.')
+   if (parts.length !== 3) {
+     return Promise.reject(new AuthError('INVALID_ID_TOKEN', 'The identity token is not a signed jwt'))
+   }
+   var header, claims
+   try {
+     header = decodePart(parts[0])
+     claims = decodePart(parts[1])
+   } catch (e) {
+     return Promise.reject(new AuthError('INVALID_ID_TOKEN', 'The identity token can not be decoded'))
+   }
+   var algorithm = ALGORITHMS[header.alg]
+   if (!algorithm) {
+     return Promise.reject(new AuthError('UNSUPPORTED_ALGORITHM', 'Unsupported identity token algorithm: ' + header.alg))
+   }
+   return this._getKey(header.kid, header.alg)
+   .then(key => {
+     var data = new TextEncoder().encode(parts[0] + '.' + parts[1])
+     return window.crypto.subtle.verify(algorithm.verify, key, base64urlDecode(parts[2]), data)
+   })
+   .then(valid => {
+     if (!valid) {
+       throw new AuthError('INVALID_SIGNATURE', 'The identity token signature is invalid')
+     }
+     this._checkClaims(claims, expected)
+     return claims
+   })
+ }
+
+ /**
+  * Check iss, aud, azp, exp and iat claims
+  * @param {object} claims - the decoded token payload
+  * @param {object} expected - see verify
+  * @throws {AuthError}
+  * @private
+  */
+ _checkClaims (claims, expected) {
+   var now = Date.now() / 1000
+   var skew = expected.clockSkew || 0
+   if (expected.issuer && claims.iss !== expected.issuer) {
+     throw new AuthError('INVALID_ISSUER', 'Unexpected identity token issuer: ' + claims.iss)
+   }
+   var aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+   if (aud.indexOf(expected.clientId) < 0) {
+     throw new AuthError('INVALID_AUDIENCE', 'The identity token is not issued for this client')
+   }
+   if ((aud.length > 1 || claims.azp) && claims.azp !== expected.clientId) {
+     throw new AuthError('INVALID_AZP', 'The identity token authorized party is not this client')
+   }
+   if (!claims.exp || claims.exp + skew < now) {
+     throw new AuthError('TOKEN_EXPIRED', 'The identity token is expired')
+   }
+   if (!claims.iat || claims.iat - skew > now) {
+     throw new AuthError('INVALID_IAT', 'The identity token is issued in the future')
+   }
+ }
+
+ /**
+  * Get the key to verify signature, reload the provider keys once when the kid is unknown
+  * (keys rotation)
+  * @param {string} kid - key identifier from the token header
+  * @param {string} alg - the token algorithm
+  * @returns {Promise} Promise object represents the CryptoKey
+  * @private
+  */
+ _getKey (kid, alg) {
+   var key = this._findKey(kid, alg)
+   if (key) {
+     return Promise.resolve(key)
+   }
+   return this._loadKeys()
+   .then(() => {
+     var key = this._findKey(kid, alg)
+     if (!key) {
+       throw new AuthError('UNKNOWN_KEY', 'No key to verify the identity token: ' + kid)
+     }
+     return key
+   })
+ }
+
+ _findKey (kid, alg) {
+   if (kid) {
+     return this._keys[kid] && this._keys[kid].alg === alg ? this._keys[kid].key : null
+   }
+   // no kid in header: only possible if the provider publishes one key for this algorithm
+   var found = Object.keys(this._keys).filter(id => this._keys[id].alg === alg)
+   return found.length === 1 ? this._keys[found[0]].key : null
+ }
+
+ /**
+  * Request the provider keys and import them
+  * @returns {Promise}
+  * @private
+  */
+ _loadKeys () {
+   if (this._loading) {
+     return this._loading
+   }
+   this._loading = fetch(this._jwksUrl, {credentials: 'omit'})
+   .then(resp => {
+     if (!resp.ok) {
+       throw new Error(resp.status)
+     }
+     return resp.json()
+   })
+   .then(json => {
+     return Promise.all((json.keys || []).map(jwk => this._importKey(jwk)))
+   })
+   .catch(error => {
+     throw error instanceof AuthError ? error : new AuthError('JWKS_ERROR', 'Unable to load the provider keys from ' + this._jwksUrl)
+   })
+   .finally(() => {
+     this._loading = null
+   })
+   return this._loading
+ }
+
+ /**
+  * Import a json web key, ignore keys not used to sign or with unsupported algorithm
+  * @param {object} jwk
+  * @returns {Promise}
+  * @private
+  */
+ _importKey (jwk) {
+   var alg = jwk.alg || (jwk.kty === 'RSA' ? 'RS256' : (jwk.kty === 'EC' && jwk.crv === 'P-256' ? 'ES256' : null))
+   if (!ALGORITHMS[alg] || (jwk.use && jwk.use !== 'sig')) {
+     return Promise.resolve()
+   }
+   var id = jwk.kid || alg
+   return window.crypto.subtle.importKey('jwk', jwk, ALGORITHMS[alg].import, false, ['verify'])
+   .then(key => {
+     this._keys[id] = {alg: alg, key: key}
+   }, () => {})
+ }
+}
+export {JwtVerifier}
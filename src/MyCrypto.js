@@ -34,7 +34,18 @@ var MyCrypto = function () {
     var base64encoded = base64urlencode(hashed);
     return base64encoded;
   }
-  return {generateCodeVerifier: generateCodeVerifier, generateCodeChallengeFromVerifier: generateCodeChallengeFromVerifier}
+
+  // GENERATING STATE AND NONCE
+  function generateRandomString(size) {
+    var array = new Uint8Array(size || 32);
+    window.crypto.getRandomValues(array);
+    return base64urlencode(array);
+  }
+  return {
+    generateCodeVerifier: generateCodeVerifier,
+    generateCodeChallengeFromVerifier: generateCodeChallengeFromVerifier,
+    generateRandomString: generateRandomString
+  }
 }
 let myCrypto = MyCrypto()
 export {myCrypto}
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Launch the token refresh once, a lead time before the access token expires
+ * (at most half of the token lifetime).
+ * Paused while the document is hidden or the browser offline,
+ * catch up when the page is visible or online again.
+ * @class RefreshScheduler
+ */
+class RefreshScheduler {
+ /**
+  * Longest delay accepted by setTimeout
+  * @property {number} MAX_DELAY
+  * @static
+  */
+ static MAX_DELAY = 2147483647
+
+ /**
+  * @property {number} _refreshAt - timestamp (ms) of the refresh
+  * @private
+  */
+ _refreshAt = null
+
+ /**
+  * @property {number} _refreshExpire - timestamp (ms) when the refresh token expires, null if unknown
+  * @private
+  */
+ _refreshExpire = null
+
+ /**
+  * @property {number} _lead - refresh this delay (ms) before the access token expires
+  * @private
+  */
+ _lead = 0
+
+ /**
+  * @property {function} _onRefresh - called when the token must be refreshed
+  * @private
+  */
+ _onRefresh = null
+
+ /**
+  * @property {function} _onExpired - called when the refresh token is expired
+  * @private
+  */
+ _onExpired = null
+
+ /**
+  * @property {timeoutID} _timeout
+  * @private
+  */
+ _timeout = null
+
+ /**
+  * @property {eventListener} _catchUpListener - listen visibilitychange and online
+  * @private
+  */
+ _catchUpListener = null
+
+ /**
+  * @param {object} options
+  * @param {number} options.lead - refresh this delay (ms) before the access token expires, at most half of the token lifetime
+  * @param {function} options.onRefresh - called when the token must be refreshed
+  * @param {function} options.onExpired - called instead of onRefresh when the refresh token is expired
+  */
+ constructor (options) {
+   this._lead = options.lead || 0
+   this._onRefresh = options.onRefresh
+   this._onExpired = options.onExpired
+ }
+
+ /**
+  * Plan the refresh of new tokens
+  * @param {number} expire - timestamp (ms) when the access token expires
+  * @param {number} refreshExpire - timestamp (ms) when the refresh token expires {optional}
+  */
+ schedule (expire, refreshExpire) {
+   // short lived tokens: refresh at the half of the lifetime, not at once and again
+   this._refreshAt = expire - Math.min(this._lead, Math.max(expire - Date.now(), 0) / 2)
+   this._refreshExpire = refreshExpire || null
+   // no catch up without document (headless use)
+   if (!this._catchUpListener && typeof document !== 'undefined') {
+     this._catchUpListener = () => this._plan()
+     document.addEventListener('visibilitychange', this._catchUpListener)
+     window.addEventListener('online', this._catchUpListener)
+   }
+   this._plan()
+ }
+
+ /**
+  * Cancel the planned refresh
+  */
+ stop () {
+   clearTimeout(this._timeout)
+   this._timeout = null
+   this._refreshAt = null
+   this._refreshExpire = null
+   if (this._catchUpListener) {
+     document.removeEventListener('visibilitychange', this._catchUpListener)
+     window.removeEventListener('online', this._catchUpListener)
+     this._catchUpListener = null
+   }
+ }
+
+ /**
+  * @returns {boolean} true if the refresh token is expired
+  */
+ isSessionExpired () {
+   return !!this._refreshExpire && this._refreshExpire <= Date.now()
+ }
+
+ _plan () {
+   clearTimeout(this._timeout)
+   this._timeout = null
+   if (!this._refreshAt || this._isPaused()) {
+     return
+   }
+   var delay = this._refreshAt - Date.now()
+   if (delay <= 0) {
+     this._fire()
+     return
+   }
+   this._timeout = setTimeout(() => this._fire(), Math.min(delay, RefreshScheduler.MAX_DELAY))
+ }
+
+ _fire () {
+   this._timeout = null
+   if (this._isPaused()) {
+     return
+   }
+   if (this._refreshAt > Date.now()) {
+     // woken up before the time (delay longer than MAX_DELAY)
+     this._plan()
+     return
+   }
+   this._refreshAt = null
+   if (this.isSessionExpired()) {
+     this._onExpired()
+   } else {
+     this._onRefresh()
+   }
+ }
+
+ _isPaused () {
+   return (typeof document !== 'undefined' && document.hidden) ||
+     (typeof navigator !== 'undefined' && navigator.onLine === false)
+ }
+}
+export {RefreshScheduler}
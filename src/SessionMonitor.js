@@ -0,0 +1,152 @@
+/**
+ * OpenID Connect Session Management:
+ * poll the check_session_iframe of the provider to know when the user session changes
+ * (logout or login in another application)
+ * @class SessionMonitor
+ */
+class SessionMonitor {
+ /**
+  * @property {string} _url - the provider check_session_iframe
+  * @private
+  */
+ _url = null
+
+ /**
+  * @property {string} _origin - the provider origin, the only one accepted for the messages
+  * @private
+  */
+ _origin = null
+
+ /**
+  * @property {string} _clientId
+  * @private
+  */
+ _clientId = null
+
+ /**
+  * @property {number} _interval - delay between two checks in milliseconds
+  * @private
+  */
+ _interval = 5000
+
+ /**
+  * @property {function} _onChanged - called when the provider reports "changed"
+  * @private
+  */
+ _onChanged = null
+
+ /**
+  * @property {function} _onError - called when the provider reports "error"
+  * @private
+  */
+ _onError = null
+
+ /**
+  * @property {string} _sessionState - session_state received with the code
+  * @private
+  */
+ _sessionState = null
+
+ /**
+  * @property {DOMNode} _iframe - the hidden provider iframe
+  * @private
+  */
+ _iframe = null
+
+ /**
+  * @property {intervalID} _timer
+  * @private
+  */
+ _timer = null
+
+ /**
+  * @property {eventListener} _listener
+  * @private
+  */
+ _listener = null
+
+ /**
+  * @param {object} options
+  * @param {string} options.url - the provider check_session_iframe
+  * @param {string} options.clientId - the client identifier
+  * @param {number} options.interval=5000 - delay between two checks in milliseconds {optional}
+  * @param {function} options.onChanged - called when the session changed
+  * @param {function} options.onError - called when the provider can not check the session {optional}
+  */
+ constructor (options) {
+   this._url = options.url
+   this._origin = new URL(options.url, window.location.href).origin
+   this._clientId = options.clientId
+   this._interval = options.interval || this._interval
+   this._onChanged = options.onChanged
+   this._onError = options.onError || function () {}
+ }
+
+ /**
+  * Start or restart the checks with a new session state
+  * @param {string} sessionState
+  */
+ start (sessionState) {
+   this._sessionState = sessionState
+   clearInterval(this._timer)
+   if (!this._iframe) {
+     this._listener = this._receive.bind(this)
+     window.addEventListener('message', this._listener)
+     this._iframe = document.createElement('iframe')
+     this._iframe.style.display = 'none'
+     this._iframe.addEventListener('load', () => this._check())
+     this._iframe.setAttribute('src', this._url)
+     document.body.appendChild(this._iframe)
+   } else {
+     this._check()
+   }
+   this._timer = setInterval(() => this._check(), this._interval)
+ }
+
+ /**
+  * Stop the checks and remove the iframe
+  */
+ stop () {
+   clearInterval(this._timer)
+   this._timer = null
+   this._sessionState = null
+   if (this._listener) {
+     window.removeEventListener('message', this._listener)
+     this._listener = null
+   }
+   if (this._iframe) {
+     this._iframe.remove()
+     this._iframe = null
+   }
+ }
+
+ _check () {
+   if (this._iframe && this._iframe.contentWindow && this._sessionState) {
+     this._iframe.contentWindow.postMessage(this._clientId + ' ' + this._sessionState, this._origin)
+   }
+ }
+
+ /**
+  * @param {window:message} event
+  * @listens message
+  */
+ _receive (event) {
+   // only the answers of the provider iframe
+   if (!this._iframe || event.origin !== this._origin || event.source !== this._iframe.contentWindow) {
+     return
+   }
+   switch (event.data) {
+     case 'changed':
+       // wait for the new session state before checking again
+       clearInterval(this._timer)
+       this._timer = null
+       this._onChanged()
+       break
+     case 'error':
+       this.stop()
+       this._onError()
+       break
+   }
+ }
+}
+export {SessionMonitor}
@@ -0,0 +1,184 @@
+/**
+ * Share the session of a service between the tabs of the application
+ * with a BroadcastChannel (or the storage event without the refresh token when not available)
+ * and elect the tab which refreshes the token
+ * @class TabSync
+ */
+class TabSync {
+ /**
+  * Duration of the refresh leadership in milliseconds, renewed by the leader tab
+  * @property {number} leaseDuration
+  * @static
+  */
+ static leaseDuration = 10000
+
+ /**
+  * @property {string} _id - the service identifier
+  * @private
+  */
+ _id = null
+
+ /**
+  * @property {string} _tabId - random identifier of this tab
+  * @private
+  */
+ _tabId = null
+
+ /**
+  * @property {BroadcastChannel} _channel
+  * @private
+  */
+ _channel = null
+
+ /**
+  * @property {function} _onMessage - called with the messages of the others tabs
+  * @private
+  */
+ _onMessage = null
+
+ /**
+  * @property {eventListener} _storageListener - fallback without BroadcastChannel
+  * @private
+  */
+ _storageListener = null
+
+ /**
+  * @property {intervalID} _leaseTimer - renew the leadership
+  * @private
+  */
+ _leaseTimer = null
+
+ /**
+  * @param {string} id - the service identifier
+  * @param {function} onMessage - callback with {type, data} sent by another tab
+  */
+ constructor (id, onMessage) {
+   this._id = id
+   this._onMessage = onMessage
+   this._tabId = Date.now().toString(36) + Math.random().toString(36).substr(2)
+ }
+
+ /**
+  * Listen the others tabs and take part in the election
+  */
+ start () {
+   if (typeof BroadcastChannel !== 'undefined') {
+     this._channel = new BroadcastChannel('auth-service-' + this._id)
+     this._channel.onmessage = (event) => this._receive(event.data)
+   } else {
+     this._storageListener = (event) => {
+       if (event.key === this._getKey('message') && event.newValue) {
+         this._receive(JSON.parse(event.newValue))
+       }
+     }
+     window.addEventListener('storage', this._storageListener)
+   }
+   this._renewLease()
+   this._leaseTimer = setInterval(() => this._renewLease(), TabSync.leaseDuration / 2)
+ }
+
+ /**
+  * Stop listening and give up the leadership
+  */
+ stop () {
+   if (this._channel) {
+     this._channel.close()
+     this._channel = null
+   }
+   if (this._storageListener) {
+     window.removeEventListener('storage', this._storageListener)
+     this._storageListener = null
+   }
+   clearInterval(this._leaseTimer)
+   this._leaseTimer = null
+   if (this.isLeader()) {
+     this._removeItem(this._getKey('leader'))
+   }
+ }
+
+ /**
+  * Send a message to the others tabs
+  * @param {string} type - login, logout or refreshed
+  * @param {object} data {optional}
+  */
+ post (type, data) {
+   var message = {type: type, data: data || null, tab: this._tabId}
+   if (this._channel) {
+     this._channel.postMessage(message)
+   } else if (this._storageListener) {
+     // no refresh token in the localStorage: the others tabs read it in the storage of the service
+     if (message.data && message.data.refresh_token) {
+       message.data = Object.assign({}, message.data)
+       delete message.data.refresh_token
+     }
+     // the storage event is sent only when the value changes
+     message.time = Date.now()
+     this._setItem(this._getKey('message'), JSON.stringify(message))
+     this._removeItem(this._getKey('message'))
+   }
+ }
+
+ /**
+  * Is this tab in charge of the token refresh
+  * (always true when the localStorage is not available)
+  * @returns {boolean}
+  */
+ isLeader () {
+   var lease = this._readLease()
+   if (lease === false) {
+     return true
+   }
+   return !!lease && lease.tab === this._tabId && lease.expires > Date.now()
+ }
+
+ _receive (message) {
+   if (message && message.tab !== this._tabId) {
+     this._onMessage({type: message.type, data: message.data})
+   }
+ }
+
+ /**
+  * Take or keep the leadership if it is free, expired or already ours
+  */
+ _renewLease () {
+   var lease = this._readLease()
+   if (lease === false) {
+     return
+   }
+   if (!lease || lease.tab === this._tabId || lease.expires < Date.now()) {
+     this._setItem(this._getKey('leader'), JSON.stringify({
+       tab: this._tabId,
+       expires: Date.now() + TabSync.leaseDuration
+     }))
+   }
+ }
+
+ /**
+  * @returns {object|null|boolean} the current lease, or false without localStorage
+  */
+ _readLease () {
+   try {
+     var value = window.localStorage.getItem(this._getKey('leader'))
+     return value ? JSON.parse(value) : null
+   } catch (e) {
+     return false
+   }
+ }
+
+ _getKey (name) {
+   return 'auth_sync_' + name + '_' + this._id
+ }
+
+ _setItem (key, value) {
+   try {
+     window.localStorage.setItem(key, value)
+   } catch (e) {}
+ }
+
+ _removeItem (key) {
+   try {
+     window.localStorage.removeItem(key)
+   } catch (e) {}
+ }
+}
+export {TabSync}
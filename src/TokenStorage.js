@@ -0,0 +1,120 @@
+/**
+ * Storages of the refresh token
+ * A storage implements get (key), set (key, value) and remove (key),
+ * a custom storage (encrypted...) can return promises.
+ * The key is the service identifier.
+ */
+
+/**
+ * Keep the token in memory, lost when the page is reloaded
+ * @class MemoryStorage
+ */
+class MemoryStorage {
+ _items = {}
+
+ get (key) {
+   return this._items.hasOwnProperty(key) ? this._items[key] : null
+ }
+
+ set (key, value) {
+   this._items[key] = value
+ }
+
+ remove (key) {
+   delete this._items[key]
+ }
+}
+
+/**
+ * Common part of sessionStorage and localStorage
+ * @class WebStorage
+ */
+class WebStorage {
+ /**
+  * @property {string} _prefix - prefix of the item names
+  * @private
+  */
+ _prefix = null
+
+ /**
+  * @param {string} prefix="auth_refresh_" - prefix of the item names {optional}
+  */
+ constructor (prefix) {
+   this._prefix = typeof prefix === 'string' ? prefix : 'auth_refresh_'
+ }
+
+ /**
+  * The window storage, to override
+  * @returns {Storage}
+  */
+ _getStorage () {
+   return null
+ }
+
+ get (key) {
+   return this._getStorage().getItem(this._prefix + key)
+ }
+
+ set (key, value) {
+   this._getStorage().setItem(this._prefix + key, value)
+ }
+
+ remove (key) {
+   this._getStorage().removeItem(this._prefix + key)
+ }
+}
+
+/**
+ * Keep the token for the browser tab
+ * @class SessionStorage
+ */
+class SessionStorage extends WebStorage {
+ _getStorage () {
+   return window.sessionStorage
+ }
+}
+
+/**
+ * Keep the token for all the tabs of the application
+ * @class LocalStorage
+ */
+class LocalStorage extends WebStorage {
+ _getStorage () {
+   return window.localStorage
+ }
+}
+
+/**
+ * Keep the token in a cookie named with the service identifier (not HttpOnly)
+ * @class CookieStorage
+ */
+class CookieStorage {
+ get (key) {
+   var name = key + '='
+   var ca = document.cookie.split(';')
+   for (var i = 0; i < ca.length; i++) {
+     var c = ca[i]
+     while (c.charAt(0) == ' ') c = c.substring(1, c.length)
+     if (c.indexOf(name) == 0) {
+       var value = c.substring(name.length, c.length)
+       return value && value !== 'undefined' ? value : null
+     }
+   }
+   return null
+ }
+
+ set (key, value) {
+   document.cookie = key + '=' + value + this._getAttributes()
+ }
+
+ remove (key) {
+   // same attributes as set, or the browser keeps the cookie
+   document.cookie = key + '=;expires=Thu, 01 Jan 1970 00:00:01 GMT' + this._getAttributes()
+ }
+
+ _getAttributes () {
+   var secure = window.location.protocol === 'https:' ? ';Secure' : ''
+   return ';path=/;SameSite=strict;Domain=' + window.location.hostname + secure
+ }
+}
+export {MemoryStorage, SessionStorage, LocalStorage, CookieStorage}
@@ -0,0 +1,162 @@
+/**
+ * vue-router navigation guard: protect the routes with meta.auth
+ *
+ * meta: {auth: true} - an user authenticated with the default service
+ * meta: {auth: 'keycloak'} - an user authenticated with the service keycloak
+ * meta: {auth: {service: 'keycloak', roles: ['admin'], clientRoles: {app: ['editor']}, scopes: ['read']}}
+ *   - and the realm roles, the client roles and the scopes of the user (all required)
+ *
+ * router.beforeEach(createAuthGuard({forbidden: '/forbidden'}))
+ */
+import {AuthService} from '../AuthService.js'
+import {AuthError} from '../AuthError.js'
+
+/**
+ * sessionStorage key of the route to restore after a login in redirect mode
+ */
+var RETURN_KEY = 'auth_guard_return'
+
+function toArray (value) {
+  if (!value) {
+    return []
+  }
+  return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * @param {boolean|string|object} auth - meta.auth of a route record
+ * @param {string} defaultService - identifier of the service when not in auth
+ * @returns {object|null} requirement {service, roles, clientRoles, scopes}
+ */
+function getRequirement (auth, defaultService) {
+  if (!auth) {
+    return null
+  }
+  if (typeof auth === 'string') {
+    return {service: auth}
+  }
+  return Object.assign({service: defaultService}, auth === true ? {} : auth)
+}
+
+/**
+ * Has the user of the service the required roles and scopes
+ * @param {AuthService} service
+ * @param {object} requirement
+ * @returns {boolean}
+ */
+function isAllowed (service, requirement) {
+  if (!toArray(requirement.roles).every(role => service.hasRole(role))) {
+    return false
+  }
+  var clientRoles = requirement.clientRoles || {}
+  for (var client in clientRoles) {
+    if (!toArray(clientRoles[client]).every(role => service.hasRole(role, {client: client}))) {
+      return false
+    }
+  }
+  return toArray(requirement.scopes).every(scope => service.hasScope(scope))
+}
+
+/**
+ * @param {string|object} route - a route location
+ * @param {string} path - the full path of the requested route
+ * @returns {object} the location with the query redirect
+ */
+function withRedirect (route, path) {
+  route = typeof route === 'string' ? {path: route} : route
+  return Object.assign({}, route, {query: Object.assign({}, route.query, {redirect: path})})
+}
+
+function saveReturn (id, path) {
+  try {
+    window.sessionStorage.setItem(RETURN_KEY, JSON.stringify({service: id, path: path}))
+  } catch (e) {}
+}
+
+function takeReturn () {
+  try {
+    var value = window.sessionStorage.getItem(RETURN_KEY)
+    window.sessionStorage.removeItem(RETURN_KEY)
+    return value ? JSON.parse(value) : null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Create the navigation guard
+ * @param {object} options {optional}
+ * @param {string} options.defaultService - the service of meta.auth true, default the first registered service {optional}
+ * @param {string|object} options.forbidden - route of the users without the required roles, default the navigation is aborted {optional}
+ * @param {string|object} options.login - route of the unauthenticated users (with query redirect), default the login of the service is launched {optional}
+ * @param {object} options.loginOptions - options of the service login, default mode "redirect" (outside a click, a popup is blocked) {optional}
+ * @returns {function} guard for router.beforeEach
+ */
+function createAuthGuard (options) {
+  options = options || {}
+  var loginOptions = Object.assign({mode: 'redirect'}, options.loginOptions)
+
+  function getService (id) {
+    var services = AuthService.all()
+    id = id || options.defaultService || (services[0] && services[0].getId())
+    return id ? AuthService.get(id) : null
+  }
+
+  function check (to, requirements, next) {
+    if (requirements.length === 0) {
+      next()
+      return
+    }
+    var requirement = requirements[0]
+    var service = getService(requirement.service)
+    if (!service) {
+      next(new AuthError('UNKNOWN_SERVICE', 'Unknown auth service: ' + requirement.service))
+      return
+    }
+    service.initialized().then(() => {
+      if (!service.getUser()) {
+        if (options.login) {
+          next(withRedirect(options.login, to.fullPath))
+          return
+        }
+        // kept if the login leaves the page (redirect mode)
+        saveReturn(service.getId(), to.fullPath)
+        service.login(loginOptions)
+        .then(() => {
+          takeReturn()
+          check(to, requirements, next)
+        }, () => {
+          takeReturn()
+          next(false)
+        })
+        return
+      }
+      if (!isAllowed(service, requirement)) {
+        next(options.forbidden ? withRedirect(options.forbidden, to.fullPath) : false)
+        return
+      }
+      check(to, requirements.slice(1), next)
+    })
+  }
+
+  return function (to, from, next) {
+    var requirements = to.matched
+    .map(record => getRequirement(record.meta && record.meta.auth, options.defaultService))
+    .filter(requirement => requirement)
+    var back = takeReturn()
+    var service = back ? AuthService.get(back.service) : null
+    if (!service) {
+      check(to, requirements, next)
+      return
+    }
+    // back from the identity provider: go to the route which launched the login
+    service.initialized().then(() => {
+      if (service.getUser() && back.path !== to.fullPath) {
+        next(back.path)
+      } else {
+        check(to, requirements, next)
+      }
+    })
+  }
+}
+export {createAuthGuard}
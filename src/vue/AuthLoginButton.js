@@ -0,0 +1,44 @@
+/**
+ * Button to sign in / sign out a service of the $auth store
+ * <auth-login-button service="keycloak" login-label="Sign in" logout-label="Sign out"></auth-login-button>
+ */
+const AuthLoginButton = {
+  name: 'AuthLoginButton',
+  props: {
+    service: {
+      type: String,
+      default: null
+    },
+    loginLabel: {
+      type: String,
+      default: 'Login'
+    },
+    logoutLabel: {
+      type: String,
+      default: 'Logout'
+    }
+  },
+  computed: {
+    status () {
+      return this.$auth.getStatus(this.service)
+    }
+  },
+  methods: {
+    toggle () {
+      // the failure is already sent to the error event of the service
+      if (this.status.isAuthenticated) {
+        this.$auth.logout(this.service).catch(function () {})
+      } else {
+        this.$auth.login(this.service).catch(function () {})
+      }
+    }
+  },
+  render (h) {
+    return h('button', {
+      class: ['auth-login-button', {'auth-authenticated': this.status.isAuthenticated}],
+      attrs: {type: 'button', disabled: this.status.running},
+      on: {click: this.toggle}
+    }, this.status.isAuthenticated ? this.logoutLabel : this.loginLabel)
+  }
+}
+export {AuthLoginButton}
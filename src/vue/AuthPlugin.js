@@ -0,0 +1,179 @@
+/**
+ * Vue 2 plugin: a reactive $auth store kept in sync with the events of the services,
+ * the components auth-login-button and auth-user-menu
+ * and a vue-resource interceptor
+ *
+ * Vue.use(AuthPlugin, {services: [service1, service2]})
+ * Vue.use(AuthPlugin, {services: {keycloak: {clientId: 'app', ...}}})
+ */
+import {AuthService} from '../AuthService.js'
+import {AuthError} from '../AuthError.js'
+import {AuthLoginButton} from './AuthLoginButton.js'
+import {AuthUserMenu} from './AuthUserMenu.js'
+
+/**
+ * Events of a service which change its status
+ */
+var SYNC_EVENTS = ['authenticated', 'logout', 'tokenRefreshed', 'userInfoUpdated', 'sessionChanged',
+  'loginStarted', 'loginCancelled', 'error']
+
+/**
+ * Create the services described by config and add them to the DOM,
+ * the already registered services are reused
+ * @param {AuthService[]|object} services - services, or configurations by service identifier
+ * @returns {AuthService[]}
+ */
+function initServices (services) {
+  if (Array.isArray(services)) {
+    return services
+  }
+  return Object.keys(services || {}).map(function (id) {
+    var service = AuthService.get(id)
+    if (!service) {
+      // add() launches the login tests: only once by service
+      service = new AuthService(id, services[id])
+      service.add()
+    }
+    return service
+  })
+}
+
+/**
+ * Is the url allowed to receive the token
+ * @param {string} url - the request url
+ * @param {string[]} urls - url prefixes, only the application origin if empty
+ * @returns {boolean}
+ */
+function isTrustedUrl (url, urls) {
+  var absolute = new URL(url, window.location.href)
+  if (!urls || urls.length === 0) {
+    return absolute.origin === window.location.origin
+  }
+  return urls.some(function (prefix) {
+    return absolute.href.indexOf(new URL(prefix, window.location.href).href) === 0
+  })
+}
+
+const AuthPlugin = {
+  /**
+   * @param {Vue} Vue
+   * @param {object} options
+   * @param {AuthService[]|object} options.services - services, or configurations by service identifier
+   * @param {string} options.defaultService - service of $auth.user and $auth.token, default the first authenticated {optional}
+   * @param {boolean} options.components=true - register auth-login-button and auth-user-menu {optional}
+   * @param {boolean|object} options.http=true - add the token to vue-resource requests {optional}
+   * @param {string} options.http.service - service of the token, default the default service {optional}
+   * @param {string[]} options.http.urls - url prefixes which receive the token, default only the application origin {optional}
+   */
+  install (Vue, options) {
+    options = options || {}
+    var services = initServices(options.services)
+    var store = Vue.observable({
+      user: null,
+      token: null,
+      isAuthenticated: false,
+      service: null,
+      services: {}
+    })
+
+    function getService (id) {
+      id = id || store.service || options.defaultService || (services[0] && services[0].getId())
+      return AuthService.get(id) || services.find(service => service.getId() === id) || null
+    }
+
+    function update () {
+      var ids = Object.keys(store.services)
+      var id = options.defaultService && store.services[options.defaultService]
+        ? options.defaultService
+        : ids.find(id => store.services[id].isAuthenticated) || null
+      var status = id ? store.services[id] : null
+      store.service = status && status.isAuthenticated ? id : null
+      store.user = status ? status.user : null
+      store.token = status ? status.token : null
+      store.isAuthenticated = !!status && status.isAuthenticated
+    }
+
+    function sync (service) {
+      var status = store.services[service.getId()]
+      status.user = service.getUser()
+      status.token = service.getToken()
+      status.isAuthenticated = !!service.getUser()
+      status.running = service.running
+      update()
+    }
+
+    services.forEach(function (service) {
+      Vue.set(store.services, service.getId(), {
+        user: null,
+        token: null,
+        isAuthenticated: false,
+        running: false
+      })
+      SYNC_EVENTS.forEach(eventName => service.on(eventName, () => sync(service)))
+      sync(service)
+    })
+
+    /**
+     * Status of a service, the default service if no identifier
+     * @param {string} id {optional}
+     * @returns {object} {user, token, isAuthenticated, running}
+     */
+    store.getStatus = function (id) {
+      var service = getService(id)
+      return (service && store.services[service.getId()]) || {user: null, token: null, isAuthenticated: false, running: false}
+    }
+    /**
+     * @param {string} id {optional}
+     * @returns {AuthService|null}
+     */
+    store.getService = getService
+    /**
+     * Login with a service, the default service if no identifier
+     * @param {string} id {optional}
+     * @param {object} loginOptions - see AuthService.login {optional}
+     * @returns {Promise}
+     */
+    store.login = function (id, loginOptions) {
+      var service = getService(id)
+      if (!service) {
+        return Promise.reject(new AuthError('UNKNOWN_SERVICE', 'Unknown auth service: ' + id))
+      }
+      var login = service.login(loginOptions)
+      // the end of the login is not always followed by an event (user info failure...)
+      login.then(() => sync(service), () => sync(service))
+      return login
+    }
+    /**
+     * Logout from a service, the default service if no identifier
+     * @param {string} id {optional}
+     * @param {object} logoutOptions - see AuthService.logout {optional}
+     * @returns {Promise}
+     */
+    store.logout = function (id, logoutOptions) {
+      var service = getService(id)
+      if (!service) {
+        return Promise.reject(new AuthError('UNKNOWN_SERVICE', 'Unknown auth service: ' + id))
+      }
+      return service.logout(logoutOptions)
+    }
+
+    Vue.prototype.$auth = store
+
+    if (options.components !== false) {
+      Vue.component('auth-login-button', AuthLoginButton)
+      Vue.component('auth-user-menu', AuthUserMenu)
+    }
+
+    if (options.http !== false && Vue.http && Vue.http.interceptors) {
+      var http = typeof options.http === 'object' ? options.http : {}
+      Vue.http.interceptors.push(function (request) {
+        var service = getService(http.service)
+        var token = service ? service.getToken() : null
+        if (token && !request.headers.has('Authorization') && isTrustedUrl(request.getUrl(), http.urls)) {
+          request.headers.set('Authorization', 'Bearer ' + token)
+        }
+      })
+    }
+  }
+}
+export {AuthPlugin, AuthLoginButton, AuthUserMenu}
@@ -0,0 +1,56 @@
+/**
+ * Name of the authenticated user with a logout button
+ * <auth-user-menu service="keycloak" logout-label="Sign out"></auth-user-menu>
+ */
+const AuthUserMenu = {
+  name: 'AuthUserMenu',
+  props: {
+    service: {
+      type: String,
+      default: null
+    },
+    logoutLabel: {
+      type: String,
+      default: 'Logout'
+    }
+  },
+  data () {
+    return {
+      open: false
+    }
+  },
+  computed: {
+    status () {
+      return this.$auth.getStatus(this.service)
+    },
+    name () {
+      var user = this.status.user || {}
+      return user.name || user.preferred_username || user.email || ''
+    }
+  },
+  methods: {
+    logout () {
+      this.open = false
+      // the failure is already sent to the error event of the service
+      this.$auth.logout(this.service).catch(function () {})
+    }
+  },
+  render (h) {
+    if (!this.status.isAuthenticated) {
+      return h()
+    }
+    var children = [
+      h('span', {
+        class: 'auth-user-name',
+        on: {click: () => { this.open = !this.open }}
+      }, this.name)
+    ]
+    if (this.open) {
+      children.push(h('ul', {class: 'auth-user-actions'}, [
+        h('li', [h('a', {attrs: {href: '#'}, on: {click: (e) => { e.preventDefault(); this.logout() }}}, this.logoutLabel)])
+      ]))
+    }
+    return h('div', {class: 'auth-user-menu'}, children)
+  }
+}
+export {AuthUserMenu}
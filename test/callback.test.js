@@ -0,0 +1,117 @@
+/**
+ * The redirect page: AuthService.parseCallbackUrl and AuthService.handleCallbackPage
+ */
+import {test, afterEach} from 'node:test'
+import assert from 'node:assert/strict'
+import {AuthService} from '../src/AuthService.js'
+
+var EMPTY = {code: null, state: null, session_state: null, error: null, error_description: null, iss: null}
+
+/**
+ * A window of the redirect page
+ * @param {string} href - url of the page
+ * @param {string} context - "popup", "iframe" or "redirect"
+ * @returns {object} the window, with the messages sent to the application
+ */
+function createWindow (href, context) {
+  var messages = []
+  var application = {
+    postMessage (data, targetOrigin) {
+      messages.push({data: data, targetOrigin: targetOrigin})
+    }
+  }
+  var win = {
+    messages: messages,
+    closed: false,
+    opener: context === 'popup' ? application : null,
+    location: {
+      href: href,
+      origin: new URL(href).origin,
+      replace (url) {
+        win.replaced = url
+      }
+    },
+    close () {
+      win.closed = true
+    }
+  }
+  win.parent = context === 'iframe' ? application : win
+  return win
+}
+
+afterEach(() => {
+  delete globalThis.window
+})
+
+test('parseCallbackUrl reads the response in the query', () => {
+  var result = AuthService.parseCallbackUrl('https://app.org/login.html?code=abc&state=xyz&session_state=s1&iss=https%3A%2F%2Fsso.org')
+  assert.deepEqual(result, Object.assign({}, EMPTY, {code: 'abc', state: 'xyz', session_state: 's1', iss: 'https://sso.org'}))
+})
+
+test('parseCallbackUrl reads the response in the fragment first', () => {
+  var url = 'https://app.org/login.html?state=query#code=abc&state=fragment'
+  assert.equal(AuthService.parseCallbackUrl(url).state, 'fragment')
+  assert.equal(AuthService.parseCallbackUrl(url, 'fragment').state, 'fragment')
+  assert.equal(AuthService.parseCallbackUrl(url, 'query').state, 'query')
+  assert.equal(AuthService.parseCallbackUrl(url, 'query').code, null)
+})
+
+test('parseCallbackUrl reads the error of the provider', () => {
+  var result = AuthService.parseCallbackUrl('https://app.org/login.html#error=access_denied&error_description=User%20cancel&state=xyz')
+  assert.deepEqual(result, Object.assign({}, EMPTY, {error: 'access_denied', error_description: 'User cancel', state: 'xyz'}))
+})
+
+test('parseCallbackUrl ignores the parameters of an url without response', () => {
+  assert.deepEqual(AuthService.parseCallbackUrl('https://app.org/login.html?lang=fr#top'), EMPTY)
+})
+
+test('parseCallbackUrl reads the current location without url', () => {
+  globalThis.window = createWindow('https://app.org/login.html?code=abc&state=xyz', 'popup')
+  assert.equal(AuthService.parseCallbackUrl().code, 'abc')
+})
+
+test('handleCallbackPage sends the response to the popup opener and closes the popup', () => {
+  var win = globalThis.window = createWindow('https://app.org/login.html?code=abc&state=xyz', 'popup')
+  var result = AuthService.handleCallbackPage()
+  assert.deepEqual(result, Object.assign({}, EMPTY, {code: 'abc', state: 'xyz'}))
+  assert.deepEqual(win.messages, [{data: result, targetOrigin: 'https://app.org'}])
+  assert.equal(win.closed, true)
+})
+
+test('handleCallbackPage keeps the popup open with close false', () => {
+  var win = globalThis.window = createWindow('https://app.org/login.html?code=abc&state=xyz', 'popup')
+  AuthService.handleCallbackPage({close: false, targetOrigin: 'https://other.org'})
+  assert.equal(win.messages[0].targetOrigin, 'https://other.org')
+  assert.equal(win.closed, false)
+})
+
+test('handleCallbackPage sends the response to the iframe parent', () => {
+  var win = globalThis.window = createWindow('https://app.org/login.html#error=login_required&state=xyz', 'iframe')
+  AuthService.handleCallbackPage({responseMode: 'fragment'})
+  assert.deepEqual(win.messages, [{
+    data: Object.assign({}, EMPTY, {error: 'login_required', state: 'xyz'}),
+    targetOrigin: 'https://app.org'
+  }])
+  assert.equal(win.closed, false)
+})
+
+test('handleCallbackPage sends the posted parameters with form_post', () => {
+  var win = globalThis.window = createWindow('https://app.org/login.html?code=ignored', 'popup')
+  AuthService.handleCallbackPage({responseMode: 'form_post', params: {code: 'abc', state: 'xyz', other: 'no'}})
+  assert.deepEqual(win.messages[0].data, Object.assign({}, EMPTY, {code: 'abc', state: 'xyz'}))
+})
+
+test('handleCallbackPage goes back to the application in redirect mode', () => {
+  var win = globalThis.window = createWindow('https://sso-redirect.org/login.html?code=abc&state=xyz', 'redirect')
+  var result = AuthService.handleCallbackPage({redirectUrl: 'https://app.org/#/home'})
+  assert.equal(win.replaced, 'https://app.org/#code=abc&state=xyz')
+  assert.equal(win.messages.length, 0)
+  assert.equal(result.code, 'abc')
+})
+
+test('handleCallbackPage does nothing without application', () => {
+  var win = globalThis.window = createWindow('https://app.org/login.html?code=abc&state=xyz', 'redirect')
+  AuthService.handleCallbackPage()
+  assert.equal(win.replaced, undefined)
+  assert.equal(win.messages.length, 0)
+})
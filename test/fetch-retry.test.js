@@ -0,0 +1,188 @@
+/**
+ * Requests to the provider: retry of the transient failures (_fetchJson)
+ * and end of the session after a failed refresh (_refreshFailed)
+ */
+import {test, before, beforeEach, after} from 'node:test'
+import assert from 'node:assert/strict'
+import {AuthService} from '../src/AuthService.js'
+import {RefreshError, UserInfoError} from '../src/AuthError.js'
+
+var USERINFO_URL = 'https://sso.org/userinfo'
+var responses = []
+var requests = 0
+
+/**
+ * A fetch response
+ * @param {number} status
+ * @param {object} body {optional}
+ * @param {object} headers {optional}
+ * @returns {object}
+ */
+function response (status, body, headers) {
+  return {
+    ok: status >= 200 && status < 300,
+    status: status,
+    url: USERINFO_URL,
+    headers: {get: name => (headers || {})[name] || null},
+    json: () => body === undefined ? Promise.reject(new SyntaxError('Unexpected token <')) : Promise.resolve(body)
+  }
+}
+
+function createService (config) {
+  var service = new AuthService('retry' + Math.random(), Object.assign({
+    method: 'public',
+    clientId: 'app',
+    retries: 3,
+    retryDelay: 0.001,
+    retryMaxDelay: 0.01,
+    silentRenew: false
+  }, config))
+  service.on('error', () => {})
+  return service
+}
+
+before(() => {
+  globalThis.window = {crypto: globalThis.crypto}
+  globalThis.fetch = () => {
+    var next = responses[Math.min(requests, responses.length - 1)]
+    requests++
+    return next instanceof Error ? Promise.reject(next) : Promise.resolve(next)
+  }
+})
+
+beforeEach(() => {
+  requests = 0
+})
+
+after(() => {
+  delete globalThis.window
+  delete globalThis.fetch
+})
+
+test('_fetchJson returns the json of a 2xx response', () => {
+  responses = [response(200, {email: 'jane@sso.org'})]
+  return createService()._fetchJson(USERINFO_URL, {}, UserInfoError)
+  .then(json => {
+    assert.deepEqual(json, {email: 'jane@sso.org'})
+    assert.equal(requests, 1)
+  })
+})
+
+test('_fetchJson retries the server errors', () => {
+  responses = [response(500, {}), response(503, undefined), response(200, {sub: 'jane'})]
+  return createService()._fetchJson(USERINFO_URL, {}, UserInfoError)
+  .then(json => {
+    assert.equal(json.sub, 'jane')
+    assert.equal(requests, 3)
+  })
+})
+
+test('_fetchJson retries the network errors', () => {
+  responses = [new TypeError('Failed to fetch'), response(200, {sub: 'jane'})]
+  return createService()._fetchJson(USERINFO_URL, {}, UserInfoError)
+  .then(json => {
+    assert.equal(json.sub, 'jane')
+    assert.equal(requests, 2)
+  })
+})
+
+test('_fetchJson waits for the Retry-After delay of a 429', () => {
+  responses = [response(429, {}, {'Retry-After': '1'}), response(200, {sub: 'jane'})]
+  var start = Date.now()
+  return createService()._fetchJson(USERINFO_URL, {}, UserInfoError)
+  .then(json => {
+    assert.equal(json.sub, 'jane')
+    assert.equal(requests, 2)
+    assert.ok(Date.now() - start >= 950)
+  })
+})
+
+test('_fetchJson stops after the configured retries', () => {
+  responses = [new TypeError('Failed to fetch')]
+  return assert.rejects(createService({retries: 2})._fetchJson(USERINFO_URL, {}, UserInfoError), error => {
+    assert.ok(error instanceof UserInfoError)
+    assert.equal(error.code, 'NETWORK_ERROR')
+    assert.equal(requests, 3)
+    return true
+  })
+})
+
+test('_fetchJson does not retry the client errors', () => {
+  responses = [response(400, {error: 'invalid_grant', error_description: 'Token is not active'})]
+  return assert.rejects(createService()._fetchJson(USERINFO_URL, {}, RefreshError), error => {
+    assert.ok(error instanceof RefreshError)
+    assert.equal(error.code, 'invalid_grant')
+    assert.equal(error.status, 400)
+    assert.equal(error.phase, 'refresh')
+    assert.equal(requests, 1)
+    return true
+  })
+})
+
+test('_fetchJson does not retry the OIDC error of a 2xx response', () => {
+  responses = [response(200, {error: 'access_denied'})]
+  return assert.rejects(createService()._fetchJson(USERINFO_URL, {}, UserInfoError), error => {
+    assert.equal(error.code, 'access_denied')
+    assert.equal(requests, 1)
+    return true
+  })
+})
+
+test('_parseRetryAfter reads seconds and HTTP dates', () => {
+  var service = createService()
+  assert.equal(service._parseRetryAfter('2'), 2000)
+  assert.equal(service._parseRetryAfter(null), null)
+  assert.equal(service._parseRetryAfter('soon'), null)
+  var delay = service._parseRetryAfter(new Date(Date.now() + 10000).toUTCString())
+  assert.ok(delay > 8000 && delay <= 10000)
+})
+
+/**
+ * A service with an authenticated user
+ * @param {object} config {optional}
+ * @returns {object} {service, events}
+ */
+function createAuthenticated (config) {
+  var service = createService(config)
+  var events = []
+  service._identity = {sub: 'jane'}
+  service._token = 'token'
+  service.on('error', error => events.push('error ' + error.code))
+  service.on('sessionExpired', () => events.push('sessionExpired'))
+  return {service: service, events: events}
+}
+
+test('_refreshFailed ends the session on invalid_grant', () => {
+  var auth = createAuthenticated()
+  return assert.rejects(auth.service._refreshFailed(new RefreshError('invalid_grant', 'Token is not active', {status: 400})))
+  .then(() => {
+    assert.deepEqual(auth.events, ['error invalid_grant', 'sessionExpired'])
+    assert.equal(auth.service.getUser(), null)
+  })
+})
+
+test('_refreshFailed keeps the session after the others failures', () => {
+  var auth = createAuthenticated()
+  var errors = [
+    new RefreshError('NETWORK_ERROR', 'Unable to reach'),
+    new RefreshError('HTTP_ERROR', 'HTTP error 503', {status: 503}),
+    new RefreshError('HTTP_ERROR', 'HTTP error 401', {status: 401})
+  ]
+  return Promise.all(errors.map(error => assert.rejects(auth.service._refreshFailed(error))))
+  .then(() => {
+    assert.deepEqual(auth.events, ['error NETWORK_ERROR', 'error HTTP_ERROR', 'error HTTP_ERROR'])
+    assert.deepEqual(auth.service.getUser(), {sub: 'jane'})
+    // the refresh is tried again later
+    assert.ok(auth.service._scheduler._timeout)
+    auth.service._scheduler.stop()
+  })
+})
+
+test('_refreshFailed ends the backend session on 401', () => {
+  var auth = createAuthenticated({method: 'backend-token'})
+  return assert.rejects(auth.service._refreshFailed(new RefreshError('HTTP_ERROR', 'HTTP error 401', {status: 401})))
+  .then(() => {
+    assert.deepEqual(auth.events, ['error HTTP_ERROR', 'sessionExpired'])
+    assert.equal(auth.service.getUser(), null)
+  })
+})
@@ -0,0 +1,214 @@
+/**
+ * JwtVerifier: signature and claims of the identity token, keys of the provider
+ */
+import {test, before, beforeEach, after} from 'node:test'
+import assert from 'node:assert/strict'
+import {JwtVerifier} from '../src/JwtVerifier.js'
+
+var JWKS_URL = 'https://sso.org/certs'
+var EXPECTED = {issuer: 'https://sso.org', clientId: 'app'}
+var ALGORITHMS = {
+  RS256: {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1])},
+  ES256: {name: 'ECDSA', namedCurve: 'P-256'}
+}
+var SIGN = {
+  RS256: {name: 'RSASSA-PKCS1-v1_5'},
+  ES256: {name: 'ECDSA', hash: 'SHA-256'}
+}
+
+var keys = {}
+var published = []
+var requests = 0
+
+function base64url (bytes) {
+  return Buffer.from(bytes).toString('base64url')
+}
+
+/**
+ * Generate a key pair and its public json web key
+ * @param {string} alg - RS256 or ES256
+ * @param {string} kid
+ * @returns {Promise} Promise object represents {privateKey, jwk}
+ */
+function createKey (alg, kid) {
+  return crypto.subtle.generateKey(ALGORITHMS[alg], true, ['sign', 'verify'])
+  .then(pair => crypto.subtle.exportKey('jwk', pair.publicKey)
+  .then(jwk => ({
+    privateKey: pair.privateKey,
+    jwk: Object.assign(jwk, {kid: kid, alg: alg, use: 'sig'})
+  })))
+}
+
+/**
+ * @param {object} key - see createKey
+ * @param {object} claims - added to the valid claims
+ * @returns {Promise} Promise object represents the jwt
+ */
+function sign (key, claims) {
+  var now = Math.floor(Date.now() / 1000)
+  var header = {alg: key.jwk.alg, typ: 'JWT', kid: key.jwk.kid}
+  var payload = Object.assign({iss: 'https://sso.org', aud: 'app', sub: 'jane', iat: now, exp: now + 300}, claims)
+  var data = base64url(JSON.stringify(header)) + '.' + base64url(JSON.stringify(payload))
+  return crypto.subtle.sign(SIGN[key.jwk.alg], key.privateKey, new TextEncoder().encode(data))
+  .then(signature => data + '.' + base64url(new Uint8Array(signature)))
+}
+
+function rejects (promise, code) {
+  return assert.rejects(promise, error => {
+    assert.equal(error.code, code)
+    return true
+  })
+}
+
+before(() => {
+  globalThis.window = {crypto: globalThis.crypto}
+  globalThis.fetch = (url) => {
+    requests++
+    assert.equal(url, JWKS_URL)
+    return Promise.resolve({ok: true, json: () => Promise.resolve({keys: published.map(key => key.jwk)})})
+  }
+  return Promise.all([createKey('RS256', 'rsa1'), createKey('RS256', 'rsa2'), createKey('ES256', 'ec1')])
+  .then(created => {
+    keys = {rsa1: created[0], rsa2: created[1], ec1: created[2]}
+  })
+})
+
+beforeEach(() => {
+  published = [keys.rsa1, keys.ec1]
+  requests = 0
+})
+
+after(() => {
+  delete globalThis.window
+  delete globalThis.fetch
+})
+
+test('verify returns the claims of a valid RS256 token', () => {
+  return sign(keys.rsa1, {nonce: 'N'})
+  .then(token => new JwtVerifier(JWKS_URL).verify(token, EXPECTED))
+  .then(claims => {
+    assert.equal(claims.sub, 'jane')
+    assert.equal(claims.nonce, 'N')
+    assert.equal(requests, 1)
+  })
+})
+
+test('verify returns the claims of a valid ES256 token', () => {
+  return sign(keys.ec1, {})
+  .then(token => new JwtVerifier(JWKS_URL).verify(token, EXPECTED))
+  .then(claims => assert.equal(claims.sub, 'jane'))
+})
+
+test('verify refuses a tampered payload', () => {
+  return sign(keys.rsa1, {})
+  .then(token => {
+    var parts = token.split('.')
+    parts[1] = base64url(JSON.stringify({iss: 'https://sso.org', aud: 'app', sub: 'admin', iat: 1, exp: 9999999999}))
+    return rejects(new JwtVerifier(JWKS_URL).verify(parts.join('.'), EXPECTED), 'INVALID_SIGNATURE')
+  })
+})
+
+test('verify refuses a signature of another key', () => {
+  return Promise.all([sign(keys.rsa1, {}), sign(keys.rsa2, {})])
+  .then(tokens => {
+    var parts = tokens[0].split('.')
+    parts[2] = tokens[1].split('.')[2]
+    return rejects(new JwtVerifier(JWKS_URL).verify(parts.join('.'), EXPECTED), 'INVALID_SIGNATURE')
+  })
+})
+
+test('verify refuses an unsupported algorithm or a malformed token', () => {
+  var header = base64url(JSON.stringify({alg: 'HS256', kid: 'rsa1'}))
+  var verifier = new JwtVerifier(JWKS_URL)
+  return Promise.all([
+    rejects(verifier.verify(header + '.e30.c2ln', EXPECTED), 'UNSUPPORTED_ALGORITHM'),
+    rejects(verifier.verify('not-a-jwt', EXPECTED), 'INVALID_ID_TOKEN'),
+    rejects(verifier.verify('a.b.c', EXPECTED), 'INVALID_ID_TOKEN')
+  ])
+})
+
+test('verify checks the issuer', () => {
+  return sign(keys.rsa1, {iss: 'https://other.org'})
+  .then(token => rejects(new JwtVerifier(JWKS_URL).verify(token, EXPECTED), 'INVALID_ISSUER'))
+})
+
+test('verify checks the audience', () => {
+  return sign(keys.rsa1, {aud: 'other-app'})
+  .then(token => rejects(new JwtVerifier(JWKS_URL).verify(token, EXPECTED), 'INVALID_AUDIENCE'))
+})
+
+test('verify checks the authorized party of several audiences', () => {
+  var verifier = new JwtVerifier(JWKS_URL)
+  return Promise.all([
+    sign(keys.rsa1, {aud: ['app', 'api']}),
+    sign(keys.rsa1, {aud: ['app', 'api'], azp: 'api'}),
+    sign(keys.rsa1, {aud: 'app', azp: 'other-app'}),
+    sign(keys.rsa1, {aud: ['app', 'api'], azp: 'app'})
+  ])
+  .then(tokens => Promise.all([
+    rejects(verifier.verify(tokens[0], EXPECTED), 'INVALID_AZP'),
+    rejects(verifier.verify(tokens[1], EXPECTED), 'INVALID_AZP'),
+    rejects(verifier.verify(tokens[2], EXPECTED), 'INVALID_AZP'),
+    verifier.verify(tokens[3], EXPECTED).then(claims => assert.equal(claims.azp, 'app'))
+  ]))
+})
+
+test('verify checks the expiration with the clock skew', () => {
+  var now = Math.floor(Date.now() / 1000)
+  var verifier = new JwtVerifier(JWKS_URL)
+  return Promise.all([
+    sign(keys.rsa1, {exp: now - 30}),
+    sign(keys.rsa1, {exp: undefined})
+  ])
+  .then(tokens => Promise.all([
+    rejects(verifier.verify(tokens[0], EXPECTED), 'TOKEN_EXPIRED'),
+    rejects(verifier.verify(tokens[1], EXPECTED), 'TOKEN_EXPIRED'),
+    verifier.verify(tokens[0], Object.assign({clockSkew: 60}, EXPECTED))
+  ]))
+})
+
+test('verify checks the issue time with the clock skew', () => {
+  var now = Math.floor(Date.now() / 1000)
+  var verifier = new JwtVerifier(JWKS_URL)
+  return sign(keys.rsa1, {iat: now + 30})
+  .then(token => Promise.all([
+    rejects(verifier.verify(token, EXPECTED), 'INVALID_IAT'),
+    verifier.verify(token, Object.assign({clockSkew: 60}, EXPECTED))
+  ]))
+})
+
+test('verify reloads the keys once for an unknown kid (keys rotation)', () => {
+  var verifier = new JwtVerifier(JWKS_URL)
+  return sign(keys.rsa1, {})
+  .then(token => verifier.verify(token, EXPECTED))
+  .then(() => {
+    assert.equal(requests, 1)
+    published = [keys.rsa2]
+    return sign(keys.rsa2, {})
+  })
+  .then(token => verifier.verify(token, EXPECTED))
+  .then(claims => {
+    assert.equal(claims.sub, 'jane')
+    assert.equal(requests, 2)
+    // known key: no request
+    return sign(keys.rsa1, {}).then(token => verifier.verify(token, EXPECTED))
+  })
+  .then(() => assert.equal(requests, 2))
+})
+
+test('verify refuses a kid unknown after the reload', () => {
+  published = [keys.ec1]
+  return sign(keys.rsa1, {})
+  .then(token => rejects(new JwtVerifier(JWKS_URL).verify(token, EXPECTED), 'UNKNOWN_KEY'))
+  .then(() => assert.equal(requests, 1))
+})
+
+test('verify reports the failure of the keys request', () => {
+  var fetch = globalThis.fetch
+  globalThis.fetch = () => Promise.resolve({ok: false, status: 500})
+  return sign(keys.rsa1, {})
+  .then(token => rejects(new JwtVerifier(JWKS_URL).verify(token, EXPECTED), 'JWKS_ERROR'))
+  .finally(() => {
+    globalThis.fetch = fetch
+  })
+})